@@ -0,0 +1,229 @@
+/**
+ * Route registration with schema validation and OpenAPI generation
+ *
+ * Routes are declared together with their schemas. Registering a route adds
+ * its role check and request validation, and records it for the OpenAPI
+ * document, the endpoint list in GET / and the 404 handler, so all three
+ * always describe the routes that are actually served.
+ */
+
+import { logger } from '../utils/logger.mjs';
+import { validateSchema, coerceQuery } from '../utils/schema.mjs';
+import { ref } from './schemas.mjs';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Convert an Express path to an OpenAPI path
+ * @param {string} path - Express path, e.g. "/api/documents/:id"
+ * @returns {string} OpenAPI path, e.g. "/api/documents/{id}"
+ */
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * JSON response content for a schema
+ * @param {string} description - Response description
+ * @param {object} schema - Response schema
+ * @returns {object} OpenAPI response object
+ */
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Respond 400 listing every failing field
+ * @param {object} res - Express response
+ * @param {Array<{in: string, field: string, message: string}>} details - Failing fields
+ */
+export function sendValidationError(res, details) {
+  res.status(400).json({
+    error: 'Invalid request',
+    message: details.map(detail => `${detail.field} ${detail.message}`).join('; '),
+    details
+  });
+}
+
+export class ApiSpec {
+  /**
+   * @param {object} options - Specification options
+   * @param {object} options.info - OpenAPI info object (title, version, description)
+   * @param {object} options.schemas - Component schemas that route schemas reference
+   * @param {Function} options.authorize - Returns the middleware that requires a role
+   * @param {boolean} options.validateResponses - Log responses that do not match their schema
+   */
+  constructor({ info, schemas, authorize, validateResponses = false }) {
+    this.info = info;
+    this.schemas = schemas;
+    this.authorize = authorize;
+    this.validateResponses = validateResponses;
+    this.operations = [];
+  }
+
+  /**
+   * Wrap an Express app or router so its routes are declared with a spec
+   * @param {object} target - Express app or router
+   * @param {Array<object>} mounts - Where the target is mounted: { prefix, operationSuffix }
+   *   (a router mounted at several prefixes is documented once per prefix)
+   * @returns {object} Object with get, post, put, patch and delete(path, spec, ...handlers)
+   */
+  router(target, mounts = [{ prefix: '' }]) {
+    return Object.fromEntries(HTTP_METHODS.map(method => [method, (path, spec, ...handlers) => {
+      mounts.forEach(({ prefix, operationSuffix = '' }) => {
+        this.operations.push({
+          method,
+          path: prefix + path,
+          scoped: prefix.includes(':'),
+          spec: { ...spec, operationId: spec.operationId + operationSuffix }
+        });
+      });
+
+      const guards = spec.role ? [this.authorize(spec.role)] : [];
+      target[method](path, ...guards, this.validate(spec), ...handlers);
+    }]));
+  }
+
+  /**
+   * Middleware that validates a request against its route spec
+   * Responds 400 with every failing field. When response validation is on,
+   * also checks the JSON response against the schema for its status code.
+   * @param {object} spec - Route spec with optional query and body schemas
+   * @returns {Function} Express middleware
+   */
+  validate(spec) {
+    return (req, res, next) => {
+      const details = [];
+      const check = (location, schema, value) => {
+        validateSchema(schema, value, { components: this.schemas })
+          .forEach(error => details.push({ in: location, ...error }));
+      };
+
+      if (spec.query) {
+        check('query', spec.query, coerceQuery(spec.query, req.query));
+      }
+      if (spec.body) {
+        check('body', spec.body, req.body);
+      }
+
+      if (details.length > 0) {
+        logger.debug('Request failed validation', { operation: spec.operationId, details });
+        return sendValidationError(res, details);
+      }
+
+      if (this.validateResponses) {
+        this.checkResponses(spec, res);
+      }
+      next();
+    };
+  }
+
+  /**
+   * Log JSON responses that do not match the route's response schemas
+   * The response is still sent; a mismatch points at a schema or handler bug.
+   * @param {object} spec - Route spec
+   * @param {object} res - Express response
+   */
+  checkResponses(spec, res) {
+    const json = res.json.bind(res);
+    res.json = body => {
+      const schema = spec.responses?.[res.statusCode]?.schema ?? (res.statusCode >= 400 ? ref('Error') : null);
+      if (schema) {
+        const errors = validateSchema(schema, body, { components: this.schemas });
+        if (errors.length > 0) {
+          logger.warn('Response does not match its schema', { operation: spec.operationId, status: res.statusCode, errors });
+        }
+      }
+      return json(body);
+    };
+  }
+
+  /**
+   * Method and path of every declared route
+   * @returns {Array<string>} Endpoints such as "POST /api/search"
+   */
+  endpoints() {
+    return this.operations.map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+  }
+
+  /**
+   * Short description of every route outside the collection-scoped prefix
+   * @returns {object} Routes keyed by operation id with method, path, summary and role
+   */
+  summary() {
+    return Object.fromEntries(this.operations
+      .filter(operation => !operation.scoped)
+      .map(({ method, path, spec }) => [spec.operationId, {
+        method: method.toUpperCase(),
+        path,
+        summary: spec.summary,
+        role: spec.role ?? 'public'
+      }]));
+  }
+
+  /**
+   * Build the OpenAPI 3.1 document
+   * @returns {object} OpenAPI document
+   */
+  document() {
+    const paths = {};
+    for (const { method, path, scoped, spec } of this.operations) {
+      const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: { type: 'string' },
+        ...(name === 'name' ? { description: 'Collection name' } : {})
+      }));
+
+      for (const [name, schema] of Object.entries(spec.query?.properties || {})) {
+        const { description, ...parameterSchema } = schema;
+        parameters.push({ name, in: 'query', required: (spec.query.required || []).includes(name), description, schema: parameterSchema });
+      }
+
+      const responses = Object.fromEntries(Object.entries(spec.responses || {})
+        .map(([status, { description, schema }]) => [status, schema ? jsonResponse(description, schema) : { description }]));
+      if (spec.query || spec.body) {
+        // Schema failures list every failing field; other invalid input has just a message
+        responses[400] ??= jsonResponse('Invalid request', { anyOf: [ref('ValidationError'), ref('Error')] });
+      }
+      if (spec.role) {
+        responses[401] = jsonResponse('Missing or invalid API key', ref('Error'));
+        responses[403] = jsonResponse(`API key lacks the ${spec.role} role`, ref('Error'));
+        responses[429] = jsonResponse('API key rate limit exceeded', ref('Error'));
+      }
+      if (scoped) {
+        responses[404] ??= jsonResponse('Collection not found', ref('Error'));
+      }
+      responses[500] ??= jsonResponse('Server error', ref('Error'));
+
+      paths[openApiPath(path)] ??= {};
+      paths[openApiPath(path)][method] = {
+        operationId: spec.operationId,
+        summary: spec.summary,
+        ...(spec.description ? { description: spec.description } : {}),
+        tags: spec.tags,
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(spec.body ? {
+          requestBody: { required: spec.bodyRequired ?? true, content: { 'application/json': { schema: spec.body } } }
+        } : {}),
+        responses,
+        security: spec.role ? [{ bearerAuth: [] }, { apiKeyHeader: [] }] : [],
+        ...(spec.role ? { 'x-required-role': spec.role } : {})
+      };
+    }
+
+    return {
+      openapi: '3.1.0',
+      info: this.info,
+      paths,
+      components: {
+        schemas: this.schemas,
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key sent as a bearer token' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+      }
+    };
+  }
+}
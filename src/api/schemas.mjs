@@ -0,0 +1,390 @@
+/**
+ * Request and response schemas for the REST API
+ *
+ * Shared by request validation and the OpenAPI document, so the published
+ * description cannot drift from what the server accepts. Schemas check the
+ * shape of a request; rules that need the collection (filter operators,
+ * re-ranking stages, item limits) are still checked by SemanticMatcher.
+ */
+
+import { config, QUALITY_LEVELS } from '../config.mjs';
+import { SEARCH_MODES, FUSION_METHODS } from '../core/fusion.mjs';
+import { GROUP_SCORES } from '../core/grouping.mjs';
+import { RERANKER_TYPES } from '../core/rerankers.mjs';
+import { MATCH_STRATEGIES, QUALITY_BAND_MODES } from '../core/SemanticMatcher.mjs';
+import { DISTANCE_SPACES } from '../utils/vectorMath.mjs';
+
+/**
+ * Reference a component schema
+ * @param {string} name - Schema name in components
+ * @returns {object} JSON Schema $ref
+ */
+export function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+const topK = {
+  type: 'integer',
+  minimum: 1,
+  maximum: config.search.maxTopK,
+  description: `Number of results (default: ${config.search.defaultTopK})`
+};
+
+const metadata = { type: 'object', description: 'Metadata fields, usable in where filters' };
+
+// Search options shared by single and batch search
+const searchOptions = {
+  topK,
+  where: ref('Where'),
+  whereDocument: ref('WhereDocument'),
+  groupBy: { type: 'string', minLength: 1, description: 'Group chunk hits by this parent id metadata field, e.g. "parentId"' },
+  groupScore: { enum: GROUP_SCORES, description: 'Parent score: best chunk ("max", default) or mean of the top chunks' },
+  groupTopN: { type: 'integer', minimum: 1, description: 'Chunks averaged by "mean" scoring (default: 3)' },
+  snippetsPerGroup: { type: 'integer', minimum: 1, description: 'Matching chunks returned per parent (default: 3)' },
+  mode: { enum: SEARCH_MODES, description: `Search mode (default: ${config.search.defaultMode})` },
+  fusion: { enum: FUSION_METHODS, description: 'Hybrid fusion: reciprocal rank fusion ("rrf", default) or "weighted"' },
+  alpha: { type: 'number', minimum: 0, maximum: 1, description: 'Vector weight in hybrid fusion (default: 0.5)' },
+  mmr: { type: 'boolean', description: 'Diversify results with Maximal Marginal Relevance (not with groupBy)' },
+  mmrLambda: { type: 'number', minimum: 0, maximum: 1, description: 'MMR relevance weight, 0 (most diverse) to 1 (most relevant)' },
+  rerank: {
+    anyOf: [{ type: 'array', items: ref('RerankStage') }, { const: false }],
+    description: 'Re-ranking stages replacing the collection default; false disables'
+  },
+  minQuality: { enum: QUALITY_LEVELS, description: 'Drop results of worse quality' },
+  maxDistance: { type: 'number', minimum: 0, description: 'Drop results with a larger distance' }
+};
+
+// Per-collection settings accepted when creating a collection; the data
+// loader and embedding provider can only be set in COLLECTIONS
+const collectionSettings = {
+  description: { type: 'string' },
+  distance: { enum: DISTANCE_SPACES },
+  qualityBands: { enum: QUALITY_BAND_MODES },
+  rerank: { type: 'array', items: ref('RerankStage'), description: 'Default re-ranking stages' },
+  persistent: { type: 'boolean' },
+  pruneStale: { type: 'boolean' },
+  keywordIndex: { type: 'boolean' }
+};
+
+export const schemas = {
+  // Errors
+  Error: {
+    type: 'object',
+    required: ['error', 'message'],
+    properties: {
+      error: { type: 'string', description: 'Short error title' },
+      message: { type: 'string', description: 'What went wrong' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'message', 'details'],
+    properties: {
+      error: { const: 'Invalid request' },
+      message: { type: 'string' },
+      details: {
+        type: 'array',
+        description: 'Every failing field',
+        items: {
+          type: 'object',
+          required: ['in', 'field', 'message'],
+          properties: {
+            in: { enum: ['body', 'query', 'path'], description: 'Part of the request the field is in' },
+            field: { type: 'string', description: 'Field path, e.g. "queries[2].topK"' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  // Filters and search
+  Where: {
+    type: 'object',
+    description: 'Metadata filter: equality, $ne, $in, $nin, $gt, $gte, $lt, $lte, $and, $or'
+  },
+  WhereDocument: {
+    type: ['string', 'object'],
+    description: 'Full-text filter: a string to contain, or $contains, $not_contains, $and, $or'
+  },
+  RerankStage: {
+    anyOf: [
+      { enum: RERANKER_TYPES },
+      {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: RERANKER_TYPES },
+          weight: { type: 'number' },
+          boosts: {
+            type: 'array',
+            description: 'metadata stage: filters and the score added on a match',
+            items: { type: 'object', required: ['where', 'weight'], properties: { where: ref('Where'), weight: { type: 'number' } } }
+          },
+          url: { type: 'string', description: 'cross-encoder stage: rerank endpoint' },
+          model: { type: 'string', description: 'cross-encoder stage: model name' }
+        }
+      }
+    ]
+  },
+  SearchRequest: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', minLength: 1, pattern: '\\S', 'x-pattern-message': 'must not be blank', description: 'Search text' },
+      ...searchOptions
+    }
+  },
+  BatchSearchRequest: {
+    type: 'object',
+    required: ['queries'],
+    description: 'Options other than queries apply to every query that does not set its own',
+    properties: {
+      // Items are only checked for shape; a bad item is reported in its result slot
+      queries: {
+        type: 'array',
+        minItems: 1,
+        maxItems: config.search.maxBatchSize,
+        items: { type: ['string', 'object'] },
+        description: 'Query strings or { query, topK, ...search options }'
+      },
+      ...searchOptions
+    }
+  },
+  SearchHit: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string' },
+      text: { type: 'string' },
+      metadata: { type: 'object' },
+      distance: { type: ['number', 'null'] },
+      similarity: { type: ['number', 'null'], description: 'Similarity from 0 to 1, normalized for the distance metric' },
+      quality: { type: ['string', 'null'] },
+      qualityLabel: { type: ['string', 'null'] },
+      score: { type: 'number', description: 'Final score after re-ranking' }
+    }
+  },
+  SearchResponse: {
+    type: 'object',
+    required: ['query', 'results', 'resultCount', 'searchMetadata'],
+    properties: {
+      query: { type: 'string' },
+      results: { type: 'array', items: ref('SearchHit') },
+      resultCount: { type: 'integer' },
+      threshold: { type: ['object', 'null'], description: 'Whether any result met minQuality / maxDistance' },
+      searchMetadata: { type: 'object' }
+    }
+  },
+  BatchSearchResponse: {
+    type: 'object',
+    required: ['results', 'count', 'succeeded', 'failed', 'batchMetadata'],
+    properties: {
+      results: {
+        type: 'array',
+        description: 'A search response or { index, query, error, message } per query, in input order',
+        items: { type: 'object', required: ['index'] }
+      },
+      count: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      batchMetadata: { type: 'object' }
+    }
+  },
+  SimilarResponse: {
+    type: 'object',
+    required: ['seeds', 'results', 'resultCount'],
+    properties: {
+      seeds: { type: 'object' },
+      results: { type: 'array', items: ref('SearchHit') },
+      resultCount: { type: 'integer' },
+      searchMetadata: { type: 'object' }
+    }
+  },
+
+  // Matching
+  MatchItem: {
+    type: 'object',
+    required: ['id', 'text'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      text: { type: 'string', minLength: 1 },
+      metadata
+    }
+  },
+  MatchRequest: {
+    type: 'object',
+    required: ['left'],
+    properties: {
+      left: { type: 'array', items: ref('MatchItem'), description: 'Items to match' },
+      right: {
+        type: ['array', 'null'],
+        items: ref('MatchItem'),
+        description: 'Items to match against (default: the collection)'
+      },
+      strategy: { enum: MATCH_STRATEGIES, description: 'Nearest per item ("topk", default) or optimal one-to-one ("assignment")' },
+      topK: { ...topK, description: `Matches per left item for "topk" (default: ${config.search.defaultTopK})` },
+      capacity: {
+        anyOf: [{ type: 'integer', minimum: 1 }, { type: 'object', additionalProperties: { type: 'integer', minimum: 1 } }],
+        description: 'Left items each right item can take in "assignment" (default: 1), or capacities by id'
+      },
+      minQuality: { enum: QUALITY_LEVELS, description: 'Drop pairs of worse quality' },
+      where: ref('Where')
+    }
+  },
+  MatchResponse: {
+    type: 'object',
+    required: ['strategy', 'results', 'summary', 'matchMetadata'],
+    properties: {
+      strategy: { enum: MATCH_STRATEGIES },
+      results: { type: 'array', items: { type: 'object', required: ['id'] } },
+      unmatched: { type: 'array' },
+      unmatchedRight: { type: ['array', 'null'] },
+      summary: { type: 'object' },
+      matchMetadata: { type: 'object' }
+    }
+  },
+
+  // Documents
+  Document: {
+    type: 'object',
+    required: ['id', 'text'],
+    properties: {
+      id: { type: 'string', minLength: 1 },
+      text: { type: 'string', minLength: 1 },
+      metadata
+    }
+  },
+  StoredDocument: {
+    type: 'object',
+    required: ['id', 'text', 'metadata'],
+    properties: {
+      id: { type: 'string' },
+      text: { type: 'string' },
+      metadata: { type: 'object' }
+    }
+  },
+  DocumentsRequest: {
+    description: 'A single document or { documents: [...] }',
+    anyOf: [
+      ref('Document'),
+      {
+        type: 'object',
+        required: ['documents'],
+        properties: { documents: { type: 'array', minItems: 1, items: ref('Document') } }
+      }
+    ]
+  },
+  DocumentBody: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      metadata
+    }
+  },
+  DocumentUpdate: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1, pattern: '\\S', 'x-pattern-message': 'must not be blank', description: 'New text, re-embedded' },
+      metadata: { type: 'object', description: 'Merged into existing metadata; null removes a key' },
+      replaceMetadata: { type: 'boolean', description: 'Replace metadata instead of merging' }
+    }
+  },
+  DeleteDocumentsRequest: {
+    type: 'object',
+    description: 'Ids and/or a metadata filter',
+    properties: {
+      ids: { type: 'array', items: { type: 'string' } },
+      where: ref('Where')
+    }
+  },
+  AddDocumentsResponse: {
+    type: 'object',
+    required: ['added', 'ids'],
+    properties: { added: { type: 'integer' }, ids: { type: 'array', items: { type: 'string' } } }
+  },
+  UpsertDocumentsResponse: {
+    type: 'object',
+    required: ['created', 'updated', 'ids'],
+    properties: { created: { type: 'integer' }, updated: { type: 'integer' }, ids: { type: 'array', items: { type: 'string' } } }
+  },
+  DeleteDocumentsResponse: {
+    type: 'object',
+    required: ['deleted', 'ids'],
+    properties: { deleted: { type: 'integer' }, ids: { type: 'array', items: { type: 'string' } } }
+  },
+
+  // Collections and service
+  Stats: {
+    type: 'object',
+    required: ['collectionName', 'documentCount', 'initialized', 'storage', 'embedding', 'quality', 'cache'],
+    properties: {
+      collectionName: { type: 'string' },
+      documentCount: { type: 'integer' },
+      initialized: { type: 'boolean' },
+      persistent: { type: 'boolean' },
+      storage: { type: 'string' },
+      embedding: { type: 'object' },
+      quality: { type: 'object' },
+      cache: { type: 'object' },
+      lastSync: { type: ['object', 'null'] }
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'message', 'timestamp'],
+    properties: {
+      status: { enum: ['healthy', 'unhealthy'] },
+      message: { type: 'string' },
+      timestamp: { type: 'string' }
+    }
+  },
+  CreateCollectionRequest: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: {
+        type: 'string',
+        description: '3-63 letters, digits, ".", "_" or "-", starting and ending with a letter or digit'
+      },
+      ...collectionSettings
+    }
+  },
+  CollectionSummary: {
+    type: 'object',
+    required: ['name', 'default', 'distance'],
+    properties: {
+      name: { type: 'string' },
+      default: { type: 'boolean' },
+      description: { type: 'string' },
+      documentCount: { type: ['integer', 'null'] },
+      distance: { enum: DISTANCE_SPACES },
+      embedding: { type: ['object', 'null'] },
+      dataLoader: { type: 'string' }
+    }
+  },
+  CollectionList: {
+    type: 'object',
+    required: ['collections', 'count', 'default'],
+    properties: {
+      collections: { type: 'array', items: ref('CollectionSummary') },
+      count: { type: 'integer' },
+      default: { type: 'string' }
+    }
+  },
+  CollectionCreated: {
+    type: 'object',
+    required: ['message', 'collection'],
+    properties: { message: { type: 'string' }, collection: ref('Stats') }
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' },
+      timestamp: { type: 'string' }
+    }
+  }
+};
@@ -6,15 +6,45 @@
  */
 
 import express from 'express';
-import { SemanticMatcher } from './core/SemanticMatcher.mjs';
-import { logger } from './utils/logger.mjs';
-import { config, distanceGuide } from './config.mjs';
+import { randomUUID } from 'crypto';
+import { CollectionRegistry } from './core/CollectionRegistry.mjs';
+import { logger, withLogContext } from './utils/logger.mjs';
+import { metrics } from './utils/metrics.mjs';
+import { config } from './config.mjs';
+import { normalizeWhere, normalizeWhereDocument } from './core/filters.mjs';
+import { resolveRerankers } from './core/rerankers.mjs';
+import { ValidationError, NotFoundError, ConflictError } from './core/errors.mjs';
+import { ApiKeyAuth } from './utils/auth.mjs';
+import { ApiSpec, sendValidationError } from './api/openapi.mjs';
+import { schemas, ref } from './api/schemas.mjs';
 
 const app = express();
 
+/**
+ * Correlation id for a request
+ * Keeps the caller's X-Request-Id when it is a reasonable token, so ids can
+ * be followed across services, and generates one otherwise.
+ * @param {string} header - X-Request-Id header value
+ * @returns {string} Request id
+ */
+function requestIdFrom(header) {
+  return header && /^[\w.:-]{1,128}$/.test(header) ? header : randomUUID();
+}
+
+// Every response carries its request id, including early errors
+app.use((req, res, next) => {
+  req.id = requestIdFrom(req.get('X-Request-Id'));
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // Enable JSON parsing with size limits
 app.use(express.json({ limit: '10mb' }));
 
+// Lines logged while handling a request carry its id. Bound after body
+// parsing, whose callbacks run outside the request's async context.
+app.use((req, res, next) => withLogContext({ requestId: req.id }, next));
+
 // Request logging middleware
 app.use((req, res, next) => {
   logger.debug('HTTP Request', {
@@ -25,48 +55,158 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize the semantic matcher
-const matcher = new SemanticMatcher();
+// Request count and latency per route and status
+const httpRequests = metrics.counter(
+  'semantic_matcher_http_requests_total',
+  'HTTP requests by method, route and status',
+  ['method', 'route', 'status']
+);
+const httpDuration = metrics.histogram(
+  'semantic_matcher_http_request_duration_seconds',
+  'HTTP request latency by method, route and status',
+  ['method', 'route', 'status']
+);
+
+/**
+ * Route pattern of a request, used as the metrics label
+ * Uses the matched pattern rather than the URL so ids and collection names
+ * do not create a series each.
+ * @param {object} req - Express request, after the response was sent
+ * @returns {string} Route such as "/api/collections/:name/search", or "unmatched"
+ */
+function routeLabel(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const base = req.params.name && req.baseUrl.startsWith('/api/collections/') ? '/api/collections/:name' : req.baseUrl;
+  return base + req.route.path;
+}
+
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    httpRequests.inc(labels);
+    httpDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
+// API key authentication; the documentation and health check stay public
+const auth = new ApiKeyAuth(config.auth);
+app.use(auth.authenticate({ publicPaths: ['/', '/api/health', '/api/openapi.json'] }));
+
+// Routes are declared with their schemas, which validate requests and
+// generate the OpenAPI document
+const api = new ApiSpec({
+  info: {
+    title: 'Semantic Matcher API',
+    version: '2.0.0',
+    description: 'Professional semantic matching service using ChromaDB'
+  },
+  schemas,
+  authorize: role => auth.requireRole(role),
+  validateResponses: config.server.validateResponses
+});
+const root = api.router(app);
+
+// Collections served by the API, each with its own matcher
+const registry = new CollectionRegistry();
+
+/**
+ * Map a SemanticMatcher error to an HTTP status code
+ * @param {Error} error - Error thrown by the matcher
+ * @returns {number} HTTP status code
+ */
+function errorStatus(error) {
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  if (error instanceof ConflictError) return 409;
+  return 500;
+}
+
+/**
+ * Extract documents from a request body
+ * Accepts either { "documents": [...] } or a single document object
+ * @param {object} body - Request body
+ * @returns {Array<object>} Documents
+ */
+function documentsFromBody(body = {}) {
+  return Array.isArray(body.documents) ? body.documents : [body];
+}
+
+/**
+ * Routes scoped to one collection
+ * Served at /api for the default collection and at /api/collections/:name
+ * for any other, e.g. POST /api/collections/jobs/search
+ */
+const collectionRoutes = express.Router({ mergeParams: true });
+const scoped = api.router(collectionRoutes, [
+  { prefix: '/api' },
+  { prefix: '/api/collections/:name', operationSuffix: 'InCollection' }
+]);
+
+// Resolve the collection's matcher for every scoped route
+collectionRoutes.use((req, res, next) => {
+  try {
+    req.matcher = registry.get(req.params.name);
+    next();
+  } catch (error) {
+    res.status(errorStatus(error)).json({
+      error: 'Collection not found',
+      message: error.message
+    });
+  }
+});
 
 /**
  * POST /api/search - Semantic search endpoint
- * 
- * Request body:
- * {
- *   "query": "search text",
- *   "topK": 5 (optional)
- * }
  */
-app.post('/api/search', async (req, res) => {
+scoped.post('/search', {
+  operationId: 'search',
+  summary: 'Semantic, keyword or hybrid search',
+  tags: ['search'],
+  role: 'read',
+  body: ref('SearchRequest'),
+  responses: { 200: { description: 'Results, best first', schema: ref('SearchResponse') } }
+}, async (req, res) => {
   try {
-    const { query, topK = config.search.defaultTopK } = req.body;
-    
-    // Validate request
-    if (!query) {
-      return res.status(400).json({ 
-        error: 'Missing required field: query',
-        message: 'Request body must include a "query" field with search text'
-      });
-    }
+    const {
+      query, topK = config.search.defaultTopK, groupBy, groupScore, groupTopN, snippetsPerGroup,
+      mode, fusion, alpha, mmr, mmrLambda, rerank, minQuality, maxDistance
+    } = req.body;
 
-    if (typeof query !== 'string' || query.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Invalid query format',
-        message: 'Query must be a non-empty string'
-      });
+    // Filters and re-ranking stages have rules beyond their schemas
+    const details = [];
+    let where;
+    let whereDocument;
+    try {
+      where = normalizeWhere(req.body.where);
+    } catch (error) {
+      details.push({ in: 'body', field: 'where', message: error.message });
     }
-
-    // Validate topK if provided
-    if (topK && (typeof topK !== 'number' || topK < 1 || topK > config.search.maxTopK)) {
-      return res.status(400).json({
-        error: 'Invalid topK value',
-        message: `topK must be a number between 1 and ${config.search.maxTopK}`
-      });
+    try {
+      whereDocument = normalizeWhereDocument(req.body.whereDocument);
+    } catch (error) {
+      details.push({ in: 'body', field: 'whereDocument', message: error.message });
+    }
+    if (rerank !== undefined && rerank !== false) {
+      try {
+        resolveRerankers(rerank);
+      } catch (error) {
+        details.push({ in: 'body', field: 'rerank', message: error.message });
+      }
+    }
+    if (details.length > 0) {
+      return sendValidationError(res, details);
     }
     
-    logger.info('Search request received', { query, topK });
+    logger.info('Search request received', { query, topK, where, whereDocument, groupBy, mode, mmr, rerank, minQuality, maxDistance });
     
-    const results = await matcher.search(query, topK);
+    const results = await req.matcher.search(query, topK, {
+      where, whereDocument, groupBy, groupScore, groupTopN, snippetsPerGroup,
+      mode, fusion, alpha, mmr, mmrLambda, rerank, minQuality, maxDistance
+    });
     
     logger.info('Search completed successfully', {
       query,
@@ -77,19 +217,351 @@ app.post('/api/search', async (req, res) => {
     
   } catch (error) {
     logger.error('Search endpoint error', { error: error.message });
-    res.status(500).json({ 
+    res.status(errorStatus(error)).json({ 
       error: 'Search failed',
       message: error.message 
     });
   }
 });
 
+/**
+ * POST /api/search/batch - Run many searches in one request
+ * Results come back in input order; a failing query is reported in its slot
+ * as { error, message } instead of failing the whole batch.
+ */
+scoped.post('/search/batch', {
+  operationId: 'searchBatch',
+  summary: 'Run many searches in one request',
+  description: 'Per-query errors are reported in place instead of failing the batch',
+  tags: ['search'],
+  role: 'read',
+  body: ref('BatchSearchRequest'),
+  responses: { 200: { description: 'One result per query, in input order', schema: ref('BatchSearchResponse') } }
+}, async (req, res) => {
+  try {
+    const { queries, ...defaults } = req.body;
+    logger.info('Batch search request received', { queries: Array.isArray(queries) ? queries.length : null });
+
+    const results = await req.matcher.searchMany(queries, defaults);
+
+    logger.info('Batch search completed', { queries: results.count, failed: results.failed });
+    res.json(results);
+  } catch (error) {
+    logger.error('Batch search endpoint error', { error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Batch search failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/match - Match one set of items against another
+ * Without "right", items are matched against the documents in the collection.
+ */
+scoped.post('/match', {
+  operationId: 'match',
+  summary: 'Match a list of items against another list or the collection',
+  tags: ['match'],
+  role: 'read',
+  body: ref('MatchRequest'),
+  responses: { 200: { description: 'Matches per item', schema: ref('MatchResponse') } }
+}, async (req, res) => {
+  try {
+    const { left, right, strategy, topK, capacity, minQuality, where } = req.body;
+
+    logger.info('Match request received', { left: left.length, right: right?.length ?? 'collection', strategy });
+
+    const results = await req.matcher.match(left, right || null, { strategy, topK, capacity, minQuality, where });
+    res.json(results);
+  } catch (error) {
+    logger.error('Match endpoint error', { error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Match failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id/similar - Find documents similar to a stored document
+ */
+scoped.get('/documents/:id/similar', {
+  operationId: 'similarDocuments',
+  summary: 'Find documents similar to stored ones, excluding the seeds themselves',
+  tags: ['documents'],
+  role: 'read',
+  query: {
+    type: 'object',
+    properties: {
+      topK: { type: 'integer', minimum: 1, maximum: config.search.maxTopK, description: `Number of results (default: ${config.search.defaultTopK})` },
+      positive: { type: 'string', description: 'Comma-separated extra ids to be similar to' },
+      negative: { type: 'string', description: 'Comma-separated ids to steer away from' },
+      where: { type: 'string', description: 'JSON metadata filter' },
+      whereDocument: { type: 'string', description: 'JSON document text filter' }
+    }
+  },
+  responses: {
+    200: { description: 'Similar documents, best first', schema: ref('SimilarResponse') },
+    404: { description: 'A seed document does not exist', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  try {
+    const list = value => (value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : []);
+    const topK = req.query.topK === undefined ? config.search.defaultTopK : Number(req.query.topK);
+
+    const parsed = {};
+    const details = [];
+    for (const field of ['where', 'whereDocument']) {
+      try {
+        parsed[field] = req.query[field] ? JSON.parse(req.query[field]) : undefined;
+      } catch (error) {
+        details.push({ in: 'query', field, message: `must be JSON: ${error.message}` });
+      }
+    }
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+    const { where, whereDocument } = parsed;
+
+    const results = await req.matcher.similarTo(
+      { positive: [req.params.id, ...list(req.query.positive)], negative: list(req.query.negative) },
+      topK,
+      { where, whereDocument }
+    );
+    res.json(results);
+  } catch (error) {
+    logger.error('Similar documents error', { id: req.params.id, error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Similarity search failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:id - Fetch a single document
+ */
+scoped.get('/documents/:id', {
+  operationId: 'getDocument',
+  summary: 'Fetch a single document',
+  tags: ['documents'],
+  role: 'read',
+  responses: {
+    200: { description: 'The document', schema: ref('StoredDocument') },
+    404: { description: 'Document not found', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  try {
+    const document = await req.matcher.getDocument(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: `No document with id "${req.params.id}"`
+      });
+    }
+
+    res.json(document);
+  } catch (error) {
+    logger.error('Get document endpoint error', { id: req.params.id, error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to retrieve document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/documents - Add new documents
+ * Accepts a single document or { "documents": [...] }
+ */
+scoped.post('/documents', {
+  operationId: 'addDocuments',
+  summary: 'Add new documents',
+  tags: ['documents'],
+  role: 'admin',
+  body: ref('DocumentsRequest'),
+  responses: {
+    201: { description: 'Documents added', schema: ref('AddDocumentsResponse') },
+    409: { description: 'An id already exists', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  try {
+    const result = await req.matcher.addDocuments(documentsFromBody(req.body));
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Add documents endpoint error', { error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to add documents',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/documents - Insert or replace documents
+ * Accepts the same body as POST /api/documents
+ */
+scoped.put('/documents', {
+  operationId: 'upsertDocuments',
+  summary: 'Insert or replace documents',
+  tags: ['documents'],
+  role: 'admin',
+  body: ref('DocumentsRequest'),
+  responses: { 200: { description: 'Documents created or replaced', schema: ref('UpsertDocumentsResponse') } }
+}, async (req, res) => {
+  try {
+    const result = await req.matcher.upsertDocuments(documentsFromBody(req.body));
+    res.json(result);
+  } catch (error) {
+    logger.error('Upsert documents endpoint error', { error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to upsert documents',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/documents/:id - Insert or replace a single document
+ */
+scoped.put('/documents/:id', {
+  operationId: 'upsertDocument',
+  summary: 'Insert or replace a single document',
+  tags: ['documents'],
+  role: 'admin',
+  body: ref('DocumentBody'),
+  responses: {
+    200: { description: 'Document replaced', schema: ref('UpsertDocumentsResponse') },
+    201: { description: 'Document created', schema: ref('UpsertDocumentsResponse') }
+  }
+}, async (req, res) => {
+  try {
+    const result = await req.matcher.upsertDocuments([{ ...req.body, id: req.params.id }]);
+    res.status(result.created > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    logger.error('Upsert document endpoint error', { id: req.params.id, error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to upsert document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/documents/:id - Update text and/or metadata of a document
+ * Metadata is merged unless replaceMetadata is set; null removes a key.
+ */
+scoped.patch('/documents/:id', {
+  operationId: 'updateDocument',
+  summary: 'Update document text and/or metadata',
+  tags: ['documents'],
+  role: 'admin',
+  body: ref('DocumentUpdate'),
+  responses: {
+    200: { description: 'The updated document', schema: ref('StoredDocument') },
+    404: { description: 'Document not found', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  try {
+    const { text, metadata, replaceMetadata } = req.body;
+
+    const document = await req.matcher.updateDocument(req.params.id, { text, metadata, replaceMetadata });
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: `No document with id "${req.params.id}"`
+      });
+    }
+
+    res.json(document);
+  } catch (error) {
+    logger.error('Update document endpoint error', { id: req.params.id, error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to update document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/documents/:id - Delete a single document
+ */
+scoped.delete('/documents/:id', {
+  operationId: 'deleteDocument',
+  summary: 'Delete a document',
+  tags: ['documents'],
+  role: 'admin',
+  responses: {
+    200: { description: 'Document deleted', schema: ref('DeleteDocumentsResponse') },
+    404: { description: 'Document not found', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  try {
+    const result = await req.matcher.deleteDocuments({ ids: [req.params.id] });
+
+    if (result.deleted === 0) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: `No document with id "${req.params.id}"`
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Delete document endpoint error', { id: req.params.id, error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to delete document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/documents - Delete documents by ids and/or metadata filter
+ */
+scoped.delete('/documents', {
+  operationId: 'deleteDocuments',
+  summary: 'Delete documents by ids and/or metadata filter',
+  tags: ['documents'],
+  role: 'admin',
+  body: ref('DeleteDocumentsRequest'),
+  responses: { 200: { description: 'Documents deleted', schema: ref('DeleteDocumentsResponse') } }
+}, async (req, res) => {
+  const { ids, where } = req.body || {};
+
+  try {
+    normalizeWhere(where);
+  } catch (error) {
+    return sendValidationError(res, [{ in: 'body', field: 'where', message: error.message }]);
+  }
+
+  try {
+    const result = await req.matcher.deleteDocuments({ ids, where });
+    res.json(result);
+  } catch (error) {
+    logger.error('Delete documents endpoint error', { error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to delete documents',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/stats - Collection statistics endpoint
  */
-app.get('/api/stats', async (req, res) => {
+scoped.get('/stats', {
+  operationId: 'getStats',
+  summary: 'Collection statistics',
+  tags: ['collections'],
+  role: 'read',
+  responses: { 200: { description: 'Statistics', schema: ref('Stats') } }
+}, async (req, res) => {
   try {
-    const stats = await matcher.getStats();
+    const stats = await req.matcher.getStats();
     res.json(stats);
   } catch (error) {
     logger.error('Stats endpoint error', { error: error.message });
@@ -103,9 +575,17 @@ app.get('/api/stats', async (req, res) => {
 /**
  * GET /api/health - Health check endpoint
  */
-app.get('/api/health', async (req, res) => {
+root.get('/api/health', {
+  operationId: 'health',
+  summary: 'Check service health',
+  tags: ['service'],
+  responses: {
+    200: { description: 'Healthy', schema: ref('Health') },
+    503: { description: 'Storage backend unreachable', schema: ref('Health') }
+  }
+}, async (req, res) => {
   try {
-    const isHealthy = await matcher.healthCheck();
+    const isHealthy = await registry.healthCheck();
     
     if (isHealthy) {
       res.json({ 
@@ -116,7 +596,7 @@ app.get('/api/health', async (req, res) => {
     } else {
       res.status(503).json({
         status: 'unhealthy',
-        message: 'ChromaDB connection failed',
+        message: 'Storage backend connection failed',
         timestamp: new Date().toISOString()
       });
     }
@@ -132,19 +612,30 @@ app.get('/api/health', async (req, res) => {
 });
 
 /**
- * POST /api/reset - Reset collection endpoint (development only)
+ * POST /api/reset - Reset collection endpoint (admin key, or development mode without keys)
  */
-app.post('/api/reset', async (req, res) => {
-  if (config.env !== 'development') {
+scoped.post('/reset', {
+  operationId: 'reset',
+  summary: 'Recreate the collection and reload its data',
+  description: 'Requires an admin key; without API keys, only available in development mode',
+  tags: ['collections'],
+  role: 'admin',
+  responses: {
+    200: { description: 'Collection reset', schema: ref('Message') },
+    403: { description: 'Reset disabled', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  // Without API keys there is no admin role to restrict resets to
+  if (!auth.enabled && config.env !== 'development') {
     return res.status(403).json({
       error: 'Reset endpoint disabled',
-      message: 'Collection reset is only available in development mode'
+      message: 'Collection reset is only available in development mode or with an admin API key'
     });
   }
 
   try {
     logger.info('Collection reset requested');
-    await matcher.reset();
+    await req.matcher.reset();
     logger.info('Collection reset completed');
     
     res.json({
@@ -160,45 +651,169 @@ app.post('/api/reset', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/collections - List collections
+ */
+root.get('/api/collections', {
+  operationId: 'listCollections',
+  summary: 'List collections with document counts and settings',
+  tags: ['collections'],
+  role: 'read',
+  responses: { 200: { description: 'Collections', schema: ref('CollectionList') } }
+}, async (req, res) => {
+  try {
+    const collections = await registry.list();
+    res.json({
+      collections,
+      count: collections.length,
+      default: registry.defaultName
+    });
+  } catch (error) {
+    logger.error('List collections error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to list collections',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/collections - Create a collection
+ */
+root.post('/api/collections', {
+  operationId: 'createCollection',
+  summary: 'Create a collection',
+  tags: ['collections'],
+  role: 'admin',
+  body: ref('CreateCollectionRequest'),
+  responses: {
+    201: { description: 'Collection created', schema: ref('CollectionCreated') },
+    409: { description: 'Collection already exists', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  try {
+    const { name, ...settings } = req.body;
+    logger.info('Create collection request received', { name });
+
+    const matcher = await registry.create(name, settings);
+    res.status(201).json({
+      message: `Collection "${name}" created`,
+      collection: await matcher.getStats()
+    });
+  } catch (error) {
+    logger.error('Create collection error', { error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to create collection',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/collections/:name - Delete a collection and its documents
+ */
+root.delete('/api/collections/:name', {
+  operationId: 'deleteCollection',
+  summary: 'Delete a collection and its documents (not the default collection)',
+  tags: ['collections'],
+  role: 'admin',
+  responses: {
+    200: { description: 'Collection deleted', schema: ref('Message') },
+    404: { description: 'Collection not found', schema: ref('Error') },
+    409: { description: 'The default collection cannot be deleted', schema: ref('Error') }
+  }
+}, async (req, res) => {
+  try {
+    await registry.delete(req.params.name);
+    res.json({
+      message: `Collection "${req.params.name}" deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Delete collection error', { name: req.params.name, error: error.message });
+    res.status(errorStatus(error)).json({
+      error: 'Failed to delete collection',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/openapi.json - OpenAPI 3.1 document generated from the route schemas
+ */
+root.get('/api/openapi.json', {
+  operationId: 'openapi',
+  summary: 'OpenAPI document for this API',
+  tags: ['service'],
+  responses: { 200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } } }
+}, (req, res) => {
+  res.json(api.document());
+});
+
+/**
+ * GET /metrics - Prometheus metrics
+ */
+root.get('/metrics', {
+  operationId: 'metrics',
+  summary: 'Prometheus metrics for requests, searches, loads and storage',
+  tags: ['service'],
+  role: 'read',
+  responses: { 200: { description: 'Metrics in the Prometheus text exposition format' } }
+}, async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await metrics.render());
+  } catch (error) {
+    logger.error('Metrics endpoint error', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to render metrics',
+      message: error.message
+    });
+  }
+});
+
+// Collection-scoped routes, after the collection lifecycle routes above
+app.use('/api/collections/:name', collectionRoutes);
+app.use('/api', collectionRoutes);
+
 /**
  * GET / - API documentation endpoint
  */
-app.get('/', (req, res) => {
+root.get('/', {
+  operationId: 'apiInfo',
+  summary: 'API overview with endpoints, distance guide and examples',
+  tags: ['service'],
+  responses: { 200: { description: 'API overview', schema: { type: 'object' } } }
+}, (req, res) => {
   res.json({
-    name: 'Semantic Matcher API',
-    version: '2.0.0',
-    description: 'Professional semantic matching service using ChromaDB',
-    
-    endpoints: {
-      search: {
-        method: 'POST',
-        path: '/api/search',
-        description: 'Perform semantic search',
-        body: {
-          query: 'string (required) - Search text',
-          topK: `number (optional) - Number of results (1-${config.search.maxTopK}, default: ${config.search.defaultTopK})`
-        }
-      },
-      stats: {
-        method: 'GET',
-        path: '/api/stats',
-        description: 'Get collection statistics'
-      },
-      health: {
-        method: 'GET',
-        path: '/api/health',
-        description: 'Check service health'
+    name: api.info.title,
+    version: api.info.version,
+    description: api.info.description,
+    openapi: '/api/openapi.json',
+
+    authentication: {
+      enabled: auth.enabled,
+      headers: ['Authorization: Bearer <key>', 'X-API-Key: <key>'],
+      roles: {
+        read: 'search, batch search, match, fetch documents, stats and list collections',
+        admin: 'everything read can do, plus document changes, reset and collection management'
       },
-      reset: {
-        method: 'POST',
-        path: '/api/reset',
-        description: 'Reset collection (development only)'
-      }
+      public: ['GET /', 'GET /api/health', 'GET /api/openapi.json'],
+      rateLimit: auth.enabled ? `${config.auth.rateLimit} requests per ${config.auth.rateWindow / 1000}s per key (unless set per key)` : null
+    },
+
+    // Request bodies and responses are described in the OpenAPI document
+    endpoints: api.summary(),
+    collectionRoutes: {
+      path: '/api/collections/:name/...',
+      description: 'search, match, documents, stats and reset for a specific collection; /api/... uses the default collection'
     },
     
     distanceGuide: {
       description: 'Semantic similarity interpretation',
-      ranges: distanceGuide
+      distance: registry.get().distanceSpace,
+      bands: registry.get().qualityCalibration ? 'calibrated' : 'metric',
+      ranges: registry.get().qualityGuide,
+      similarity: 'Results also report a 0-1 similarity normalized for the distance metric'
     },
     
     examples: {
@@ -208,6 +823,44 @@ app.get('/', (req, res) => {
           query: 'JavaScript developer with React experience',
           topK: 3
         }
+      },
+      hybridSearch: {
+        url: '/api/search',
+        body: {
+          query: 'AWS CI/CD',
+          mode: 'hybrid',
+          fusion: 'rrf'
+        }
+      },
+      rerankedSearch: {
+        url: '/api/search',
+        body: {
+          query: 'React developer',
+          rerank: ['lexical', { type: 'metadata', boosts: [{ where: { experience: 'senior' }, weight: 0.1 }] }]
+        }
+      },
+      thresholdSearch: {
+        url: '/api/search',
+        body: {
+          query: 'Rust embedded firmware engineer',
+          minQuality: 'good'
+        }
+      },
+      match: {
+        url: '/api/match',
+        body: {
+          left: [{ id: 'job-1', text: 'Hiring a React front-end engineer' }],
+          strategy: 'assignment',
+          minQuality: 'good'
+        }
+      },
+      filteredSearch: {
+        url: '/api/search',
+        body: {
+          query: 'developer',
+          where: { category: 'development', experience: { $in: ['senior', 'proficient'] } },
+          whereDocument: { $contains: 'React' }
+        }
       }
     },
     
@@ -223,7 +876,13 @@ app.get('/', (req, res) => {
  * Error handling middleware
  */
 app.use((error, req, res, next) => {
+  // Malformed JSON bodies are rejected by express.json() before any route runs
+  if (error.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ in: 'body', field: '(root)', message: `is not valid JSON: ${error.message}` }]);
+  }
+
   logger.error('Unhandled application error', {
+    requestId: req.id,
     error: error.message,
     stack: error.stack,
     url: req.url,
@@ -243,12 +902,7 @@ app.use((req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
     message: `${req.method} ${req.url} is not a valid endpoint`,
-    availableEndpoints: [
-      'GET /',
-      'POST /api/search',
-      'GET /api/stats',
-      'GET /api/health'
-    ]
+    availableEndpoints: api.endpoints()
   });
 });
 
@@ -259,9 +913,14 @@ async function startServer() {
   try {
     logger.info('Starting Semantic Matcher API server');
     
-    // Initialize ChromaDB connection
-    logger.info('Initializing ChromaDB connection');
-    await matcher.initialize();
+    await auth.load();
+    if (!auth.enabled && config.env !== 'development') {
+      logger.warn('No API keys configured; every endpoint is public');
+    }
+
+    // Initialize storage backend connection
+    logger.info('Initializing storage backend connection');
+    await registry.initialize();
     
     // Start HTTP server
     const server = app.listen(config.server.port, () => {
@@ -286,13 +945,21 @@ async function startServer() {
     const shutdown = async (signal) => {
       logger.info(`Received ${signal}, starting graceful shutdown`);
       
-      server.close((err) => {
+      server.close(async (err) => {
         if (err) {
           logger.error('Error during server shutdown', { error: err.message });
           process.exit(1);
         }
         
         logger.info('HTTP server closed');
+        
+        // Flush pending writes of the in-process store
+        try {
+          await registry.close();
+        } catch (error) {
+          logger.error('Failed to close storage backend', { error: error.message });
+          process.exit(1);
+        }
         process.exit(0);
       });
     };
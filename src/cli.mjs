@@ -3,31 +3,112 @@
 /**
  * Command Line Interface for Semantic Matcher
  * 
- * Provides an interactive terminal interface for testing semantic search functionality.
- * This is the main entry point when running the application in CLI mode.
+ * Provides an interactive terminal interface for testing semantic search functionality,
+ * and one-shot commands (e.g. `semantic-matcher search "react dev" --json`) for scripts
+ * and pipelines. This is the main entry point when running the application in CLI mode.
  */
 
 import { createInterface } from 'readline';
-import { SemanticMatcher } from './core/SemanticMatcher.mjs';
-import { logger } from './utils/logger.mjs';
-import { config, distanceGuide } from './config.mjs';
+import { readFile, writeFile } from 'fs/promises';
+import { realpathSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { CollectionRegistry } from './core/CollectionRegistry.mjs';
+import { ValidationError, NotFoundError } from './core/errors.mjs';
+import { logger, configureLogging } from './utils/logger.mjs';
+import { OUTPUT_FORMATS, RecordWriter, flattenRecord } from './utils/output.mjs';
+import { metrics } from './utils/metrics.mjs';
+import { config, QUALITY_LEVELS } from './config.mjs';
+import { parseFilterTokens } from './core/filters.mjs';
+import { SEARCH_MODES } from './core/fusion.mjs';
+import { createDataLoader } from './data/dataLoader.mjs';
+import { compareEvaluations, EVALUATION_METRICS } from './core/evaluation.mjs';
+
+/**
+ * Exit codes of one-shot commands
+ *   ok         - Command succeeded
+ *   failure    - Command failed, e.g. storage unreachable or a search error
+ *   usage      - Invalid command, flag or input; nothing was changed
+ *   regression - eval: a metric regressed against the baseline
+ */
+const EXIT_CODES = { ok: 0, failure: 1, usage: 2, regression: 3 };
+
+const ONE_SHOT_COMMANDS = ['search', 'stats', 'load', 'reset', 'eval'];
+
+// Flags of one-shot commands, in util.parseArgs form
+const COMMAND_OPTIONS = {
+  'top-k': { type: 'string', short: 'k' },
+  filter: { type: 'string', short: 'f', multiple: true },
+  contains: { type: 'string', multiple: true },
+  mode: { type: 'string' },
+  'min-quality': { type: 'string' },
+  collection: { type: 'string', short: 'c' },
+  format: { type: 'string' },
+  json: { type: 'boolean' },
+  type: { type: 'string' },
+  yes: { type: 'boolean', short: 'y' },
+  save: { type: 'string' },
+  baseline: { type: 'string' },
+  tolerance: { type: 'string' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// CSV columns of search output, one row per result
+const SEARCH_CSV_COLUMNS = ['query', 'rank', 'id', 'distance', 'similarity', 'quality', 'text', 'metadata'];
+
+/**
+ * Exit code for an error raised by a one-shot command
+ * @param {Error} error - Error thrown by the command
+ * @returns {number} usage for invalid input, failure otherwise
+ */
+function exitCodeFor(error) {
+  return error instanceof ValidationError || error instanceof NotFoundError ? EXIT_CODES.usage : EXIT_CODES.failure;
+}
+
+/**
+ * Convert a --filter flag into an inline filter token
+ * @param {string} filter - e.g. "category=development", "experience=senior,proficient",
+ *   "category!=design" or "years>=3"
+ * @returns {string} Token for parseFilterTokens, e.g. "category:development"
+ * @throws {ValidationError} If the filter has no operator
+ */
+function filterToken(filter) {
+  const match = filter.match(/^([^=<>!]+)(!=|>=|<=|=|>|<)(.+)$/);
+  if (!match) {
+    throw new ValidationError(`Invalid --filter "${filter}": expected key=value, key!=value or a comparison such as key>=3`);
+  }
+  const [, key, operator, value] = match;
+  const prefix = { '=': '', '!=': '!' }[operator] ?? operator;
+  return `${key.trim()}:${prefix}${value}`;
+}
+
+/**
+ * Pick a data loader type from a file extension
+ * @param {string} filePath - Path to the file
+ * @returns {string} json, jsonl, csv or tsv (json for anything else)
+ */
+function loaderTypeFor(filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  return ['json', 'jsonl', 'csv', 'tsv'].includes(extension) ? extension : 'json';
+}
 
 class SemanticMatcherCLI {
   constructor() {
-    this.matcher = new SemanticMatcher();
-    this.rl = createInterface({
-      input: process.stdin,
-      output: process.stdout,
-      prompt: 'semantic-matcher> '
-    });
+    this.registry = new CollectionRegistry();
+    // Matcher for the collection commands apply to; switched with "use"
+    this.matcher = this.registry.get();
+    this.searchMode = config.search.defaultMode;
+    this.mmrLambda = null;
+    // undefined uses the collection's default re-ranking, false disables it
+    this.rerank = undefined;
+    this.threshold = { minQuality: undefined, maxDistance: undefined };
+    // Created by start(); one-shot commands read stdin themselves
+    this.rl = null;
     
     // Bind methods to preserve context
     this.handleInput = this.handleInput.bind(this);
     this.shutdown = this.shutdown.bind(this);
-    
-    // Setup graceful shutdown
-    process.on('SIGINT', this.shutdown);
-    process.on('SIGTERM', this.shutdown);
   }
 
   /**
@@ -41,8 +122,20 @@ class SemanticMatcherCLI {
     const indicator = this.getQualityIndicator(quality);
     const metadata = result.metadata?.category ? ` [${result.metadata.category}]` : '';
     
+    const scores = result.scores
+      ? `\n         Keyword: ${result.scores.keyword ?? '-'}  Fused: ${result.scores.fused}`
+      : '';
+    const mmr = result.mmr
+      ? `\n         MMR: ${result.mmr.score} = relevance ${result.mmr.relevance} - diversity penalty ${result.mmr.diversityPenalty} (was #${result.mmr.originalRank})`
+      : '';
+    const rerank = result.rerank
+      ? `\n         Score: ${result.score} (initial ${result.rerank.initialScore}` +
+        Object.entries(result.rerank.stages).map(([stage, score]) => `, ${stage} ${score}`).join('') +
+        `; was #${result.rerank.originalRank})`
+      : '';
+    
     return `${indicator} #${index + 1} [${result.id}] ${result.text}${metadata}\n` +
-           `         Distance: ${result.distance} (${result.qualityLabel})`;
+           `         Distance: ${result.distance}, similarity ${result.similarity} (${result.qualityLabel})${scores}${mmr}${rerank}`;
   }
 
   /**
@@ -66,6 +159,12 @@ class SemanticMatcherCLI {
    * @returns {string} Formatted results string
    */
   formatSearchResults(response) {
+    if (response.threshold && !response.threshold.met) {
+      const best = response.threshold.bestRejected;
+      return '\nNo suitable match for your query.' +
+        (best ? `\nClosest candidate: [${best.id}] ${best.text}\n         Distance: ${best.distance} (${best.qualityLabel})\n` : '\n');
+    }
+
     if (!response.results || response.results.length === 0) {
       return '\nNo matches found for your query.\n';
     }
@@ -73,7 +172,8 @@ class SemanticMatcherCLI {
     const lines = [];
     lines.push('');
     lines.push(`Query: "${response.query}"`);
-    lines.push(`Found ${response.resultCount} result(s):`);
+    lines.push(`Found ${response.resultCount} result(s)` +
+      (response.threshold?.rejectedCount ? ` (${response.threshold.rejectedCount} below threshold)` : '') + ':');
     lines.push('─'.repeat(80));
     
     response.results.forEach((result, index) => {
@@ -93,13 +193,20 @@ class SemanticMatcherCLI {
    * Perform semantic search and display results
    * @param {string} query - Search query
    * @param {number} topK - Number of results to return
+   * @param {object} options - Search options (where, whereDocument)
    */
-  async performSearch(query, topK = config.search.defaultTopK) {
+  async performSearch(query, topK = config.search.defaultTopK, options = {}) {
     try {
-      console.log(`\nSearching for: "${query}"`);
+      console.log(`\nSearching for: "${query}"${options.mode && options.mode !== 'vector' ? ` (${options.mode})` : ''}`);
+      if (options.where) {
+        console.log(`Metadata filter: ${JSON.stringify(options.where)}`);
+      }
+      if (options.whereDocument) {
+        console.log(`Document filter: ${JSON.stringify(options.whereDocument)}`);
+      }
       
       const startTime = Date.now();
-      const results = await this.matcher.search(query, topK);
+      const results = await this.matcher.search(query, topK, options);
       const duration = Date.now() - startTime;
       
       console.log(this.formatSearchResults(results));
@@ -111,10 +218,184 @@ class SemanticMatcherCLI {
     }
   }
 
+  /**
+   * Parse inline key:value filters out of search tokens and run the search
+   * Only keys that are metadata fields of the collection are filters.
+   * @param {Array<string>} tokens - Query words, possibly including filter tokens
+   */
+  async searchFromTokens(tokens) {
+    let parsed;
+    try {
+      parsed = parseFilterTokens(tokens, { fields: await this.matcher.metadataFields() });
+    } catch (error) {
+      console.log(`\n${error.message}\n`);
+      return;
+    }
+
+    if (parsed.queryTokens.length === 0) {
+      console.log('\nPlease provide search text along with filters. Example: search developer category:development\n');
+      return;
+    }
+
+    await this.performSearch(parsed.queryTokens.join(' '), config.search.defaultTopK, {
+      where: parsed.where,
+      whereDocument: parsed.whereDocument,
+      ...this.sessionOptions()
+    });
+  }
+
+  /**
+   * Search options set for this session with mode, diversify, rerank and threshold
+   * @returns {object} Search options
+   */
+  sessionOptions() {
+    return {
+      mode: this.searchMode,
+      mmr: this.mmrLambda !== null,
+      mmrLambda: this.mmrLambda ?? undefined,
+      rerank: this.rerank,
+      ...this.threshold
+    };
+  }
+
+  /**
+   * Show or change the minimum result quality and maximum distance for subsequent searches
+   * @param {Array<string>} args - 'off', a quality level and/or a maximum distance; empty shows the current setting
+   */
+  setThreshold(args) {
+    if (args[0] === 'off') {
+      this.threshold = { minQuality: undefined, maxDistance: undefined };
+    } else if (args.length > 0) {
+      const threshold = { minQuality: undefined, maxDistance: undefined };
+      for (const arg of args) {
+        const number = parseFloat(arg);
+        if (QUALITY_LEVELS.includes(arg)) {
+          threshold.minQuality = arg;
+        } else if (number >= 0) {
+          threshold.maxDistance = number;
+        } else {
+          console.log(`\nUsage: threshold [off|${QUALITY_LEVELS.join('|')}] [<max distance>]\n`);
+          return;
+        }
+      }
+      this.threshold = threshold;
+    }
+
+    const { minQuality, maxDistance } = this.threshold;
+    console.log(minQuality === undefined && maxDistance === undefined
+      ? '\nThreshold is off.\n'
+      : `\nThreshold:${minQuality ? ` quality ${minQuality} or better` : ''}${maxDistance !== undefined ? ` distance <= ${maxDistance}` : ''}\n`);
+  }
+
+  /**
+   * Show or change re-ranking for subsequent searches
+   * Stages: lexical[:weight], boost:key=value[@weight], cross-encoder:<url>
+   * @param {Array<string>} args - 'off', 'default' or stage tokens; empty shows the current setting
+   */
+  setRerank(args) {
+    if (args[0] === 'off') {
+      this.rerank = false;
+    } else if (args[0] === 'default') {
+      this.rerank = undefined;
+    } else if (args.length > 0) {
+      const stages = [];
+      const boosts = [];
+      for (const arg of args) {
+        const separator = arg.indexOf(':');
+        const name = separator === -1 ? arg : arg.slice(0, separator);
+        const value = separator === -1 ? '' : arg.slice(separator + 1);
+
+        if (name === 'lexical') {
+          stages.push(value ? { type: 'lexical', weight: parseFloat(value) } : 'lexical');
+        } else if (name === 'boost' && value.includes('=')) {
+          const [condition, weight = '0.1'] = value.split('@');
+          const [key, expected] = condition.split('=');
+          const number = Number(expected);
+          boosts.push({ where: { [key]: expected !== '' && !isNaN(number) ? number : expected }, weight: parseFloat(weight) });
+        } else if (name === 'cross-encoder' && value) {
+          stages.push({ type: 'cross-encoder', url: value });
+        } else {
+          console.log('\nUsage: rerank [off|default|lexical[:weight] boost:key=value[@weight] cross-encoder:<url>]\n');
+          return;
+        }
+      }
+      if (boosts.length > 0) {
+        stages.push({ type: 'metadata', boosts });
+      }
+      this.rerank = stages;
+    }
+
+    const current = this.rerank ?? this.matcher.rerank;
+    console.log(current === false || current.length === 0
+      ? '\nRe-ranking is off.\n'
+      : `\nRe-ranking${this.rerank === undefined ? ' (collection default)' : ''}: ${JSON.stringify(current)}\n`);
+  }
+
+  /**
+   * Show or change result diversification for subsequent searches
+   * @param {string} setting - 'on', 'off' or an MMR lambda between 0 and 1; omit to show the current setting
+   */
+  setDiversify(setting) {
+    if (setting === 'off') {
+      this.mmrLambda = null;
+    } else if (setting === 'on') {
+      this.mmrLambda = 0.5;
+    } else if (setting !== undefined) {
+      const lambda = parseFloat(setting);
+      if (!(lambda >= 0 && lambda <= 1)) {
+        console.log('\nUsage: diversify [on|off|<lambda between 0 and 1>]\n');
+        return;
+      }
+      this.mmrLambda = lambda;
+    }
+
+    console.log(this.mmrLambda === null
+      ? '\nDiversification is off.\n'
+      : `\nDiversification is on (MMR lambda ${this.mmrLambda}).\n`);
+  }
+
+  /**
+   * Show or change the search mode used for subsequent searches
+   * @param {string} mode - 'vector', 'keyword' or 'hybrid'; omit to show the current mode
+   */
+  setSearchMode(mode) {
+    if (!mode) {
+      console.log(`\nSearch mode: ${this.searchMode}\n`);
+      return;
+    }
+
+    const lowerMode = mode.toLowerCase();
+    if (!SEARCH_MODES.includes(lowerMode)) {
+      console.log(`\nUnknown mode "${mode}". Available modes: ${SEARCH_MODES.join(', ')}\n`);
+      return;
+    }
+
+    this.searchMode = lowerMode;
+    console.log(`\nSearch mode set to ${this.searchMode}.\n`);
+  }
+
+  /**
+   * Split input into whitespace-separated tokens, keeping quoted values together
+   * e.g. `search dev contains:"machine learning"` keeps the phrase as one token
+   * @param {string} input - Raw input line
+   * @returns {Array<string>} Tokens with surrounding quotes removed
+   */
+  tokenize(input) {
+    const tokens = [];
+    const pattern = /(?:[^\s"']+|"[^"]*"|'[^']*')+/g;
+    for (const match of input.matchAll(pattern)) {
+      tokens.push(match[0].replace(/(["'])(.*?)\1/g, '$2'));
+    }
+    return tokens;
+  }
+
   /**
    * Display help information
    */
   displayHelp() {
+    const guide = this.matcher.qualityGuide;
+    const bands = this.matcher.qualityCalibration ? 'calibrated' : 'default';
+
     console.log(`
 Semantic Matcher CLI
 ===================
@@ -123,20 +404,51 @@ Commands:
   search <query>              Search for semantic matches
   s <query>                  Shorthand for search
   help, h                    Show this help message
+  mode [vector|keyword|hybrid] Show or set the search mode
+  diversify [on|off|<0-1>]   Show or set MMR diversification (lambda: 1 = relevance only)
+  rerank [off|default|stages] Show or set re-ranking stages: lexical[:weight]
+                             boost:key=value[@weight] cross-encoder:<url>
+  threshold [off|<quality>] [<max distance>]
+                             Show or set the bar results must meet (e.g. threshold good)
   stats                      Show collection statistics
-  reset                      Reset and reload the collection
+  metrics                    Dump this session's metrics (Prometheus text format)
+  collections                List collections (* marks the one in use)
+  use <collection>           Switch the collection commands apply to
+  add <id> <text> [key:value] Add a document with optional metadata
+  get <id>                   Show a document
+  delete <id> [id ...]       Delete documents by id
+  similar <id> [-id] [filters] Documents like the given ids (prefix '-' for unlike)
+  match <file> [options]     Match items in a JSON/JSONL/CSV file against the collection
+                             Options: right:<file> strategy:topk|assignment top:N
+                                      capacity:N quality:excellent|good|weak|poor
+  eval <file> [options]      Score labeled queries (JSON/JSONL) with recall, precision, MRR, nDCG
+                             Options: k:N format:table|json save:<file>
+                                      baseline:<file> tolerance:<0-1>
+  calibrate                  Derive quality bands from the stored documents
+  reset                      Recreate the collection and reload all data
   quit, exit, q              Exit the application
 
+Filters (add to any search; key must be a metadata field of the collection):
+  key:value                  Metadata equals value (e.g. category:development)
+  key:a,b                    Metadata is one of the values
+  key:!value                 Metadata does not equal value
+  key:>=3                    Numeric range (>, >=, <, <=)
+  contains:text              Document text contains "text" (quote phrases)
+
 Examples:
   search JavaScript developer
   s machine learning expert
   search UX designer with mobile experience
+  search developer category:development experience:senior,proficient
+  search engineer contains:"CI/CD"
+
+Distance Guide (${this.matcher.distanceSpace} distance, ${bands} bands):
+  ● Excellent (${guide.excellent.min} - ${guide.excellent.max})  - Very strong semantic match
+  ◐ Good      (${guide.good.min} - ${guide.good.max})  - Good semantic similarity
+  ◯ Weak      (${guide.weak.min} - ${guide.weak.max})  - Some semantic relation
+  ○ Poor      (${guide.poor.min}+)    - Limited semantic similarity
 
-Distance Guide:
-  ● Excellent (${distanceGuide.excellent.min} - ${distanceGuide.excellent.max})  - Very strong semantic match
-  ◐ Good      (${distanceGuide.good.min} - ${distanceGuide.good.max})  - Good semantic similarity
-  ◯ Weak      (${distanceGuide.weak.min} - ${distanceGuide.weak.max})  - Some semantic relation
-  ○ Poor      (${distanceGuide.poor.min}+)    - Limited semantic similarity
+One-shot commands (outside this prompt): semantic-matcher --help
 
 Tips:
   - Use natural language queries
@@ -150,18 +462,414 @@ Tips:
    */
   async displayStats() {
     try {
-      const stats = await this.matcher.getStats();
-      console.log('\nCollection Statistics:');
+      this.printStats(await this.matcher.getStats());
+    } catch (error) {
+      console.error(`\nFailed to get stats: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Print collection statistics
+   * @param {object} stats - Statistics from SemanticMatcher.getStats()
+   */
+  printStats(stats) {
+    console.log('\nCollection Statistics:');
+    console.log('─'.repeat(30));
+    console.log(`Collection Name: ${stats.collectionName}`);
+    console.log(`Documents: ${stats.documentCount}`);
+    console.log(`Initialized: ${stats.initialized}`);
+    console.log(`Persistent: ${stats.persistent}`);
+    console.log(`Embeddings: ${stats.embedding.provider} (${stats.embedding.model}, ${stats.embedding.dimension} dimensions)`);
+    console.log(`Storage: ${stats.storage}${stats.storage === 'chroma' ? ` (${stats.chromaUrl})` : ''}`);
+    console.log(`Distance: ${stats.quality.distance} (${stats.quality.calibration ? 'calibrated' : 'default'} quality bands)`);
+    const { results, embeddings } = stats.cache;
+    console.log(`Cache: results ${results.hits} hits / ${results.misses} misses (${results.size}/${results.maxSize}), ` +
+      `embeddings ${embeddings.hits} hits / ${embeddings.misses} misses (${embeddings.size}/${embeddings.maxSize})`);
+    console.log(`Default Top-K: ${stats.config.defaultTopK}`);
+    console.log(`Max Top-K: ${stats.config.maxTopK}`);
+    console.log('');
+  }
+
+  /**
+   * Dump the metrics recorded in this session, as GET /metrics serves them
+   */
+  async displayMetrics() {
+    try {
+      console.log(`\n${await metrics.render()}`);
+    } catch (error) {
+      console.error(`\nFailed to render metrics: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Switch the collection that subsequent commands apply to
+   * @param {string} name - Collection name
+   */
+  useCollection(name) {
+    if (!name) {
+      console.log(`\nUsing collection "${this.matcher.collectionName}". Usage: use <collection>\n`);
+      return;
+    }
+
+    try {
+      this.matcher = this.registry.get(name);
+    } catch (error) {
+      console.log(`\n${error.message}. Available collections: ${this.registry.names().join(', ')}\n`);
+      return;
+    }
+
+    this.rl.setPrompt(name === this.registry.defaultName ? 'semantic-matcher> ' : `semantic-matcher[${name}]> `);
+    console.log(`\nUsing collection "${name}".\n`);
+  }
+
+  /**
+   * List the managed collections
+   */
+  async displayCollections() {
+    try {
+      const collections = await this.registry.list();
+      console.log('\nCollections:');
       console.log('─'.repeat(30));
-      console.log(`Collection Name: ${stats.collectionName}`);
-      console.log(`Documents: ${stats.documentCount}`);
-      console.log(`Initialized: ${stats.initialized}`);
-      console.log(`ChromaDB URL: ${stats.chromaUrl}`);
-      console.log(`Default Top-K: ${stats.config.defaultTopK}`);
-      console.log(`Max Top-K: ${stats.config.maxTopK}`);
+      for (const collection of collections) {
+        const marker = collection.name === this.matcher.collectionName ? '*' : ' ';
+        const flags = collection.default ? ' (default)' : '';
+        console.log(`${marker} ${collection.name}${flags}: ${collection.documentCount ?? '-'} documents, ` +
+                    `${collection.distance} distance, ${collection.dataLoader} loader`);
+      }
       console.log('');
     } catch (error) {
-      console.error(`\nFailed to get stats: ${error.message}\n`);
+      console.error(`\nFailed to list collections: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Recalibrate quality bands from the stored documents and show them
+   */
+  async calibrate() {
+    try {
+      const guide = await this.matcher.calibrateQuality();
+      const calibration = this.matcher.qualityCalibration;
+      console.log(calibration
+        ? `\nCalibrated from ${calibration.pairs} neighbour distances across ${calibration.sampleSize} documents:`
+        : '\nToo few documents to calibrate; using the default bands:');
+      for (const range of Object.values(guide)) {
+        console.log(`  ${range.label.padEnd(16)} ${range.min} - ${range.max === Infinity ? '' : range.max}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error(`\nCalibration failed: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Add a document from CLI tokens
+   * Usage: add <id> <text...> [key:value ...]
+   * @param {Array<string>} args - Command arguments
+   */
+  async addDocument(args) {
+    const [id, ...rest] = args;
+    const textTokens = [];
+    const metadata = {};
+
+    for (const token of rest) {
+      const match = token.match(/^([A-Za-z_][\w.-]*):(.+)$/);
+      if (match) {
+        const value = match[2];
+        metadata[match[1]] = value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+      } else {
+        textTokens.push(token);
+      }
+    }
+
+    if (!id || textTokens.length === 0) {
+      console.log('\nUsage: add <id> <text> [key:value ...]. Example: add go-dev-006 Go backend engineer category:development\n');
+      return;
+    }
+
+    try {
+      await this.matcher.addDocuments([{ id, text: textTokens.join(' '), metadata }]);
+      console.log(`\nAdded document ${id}.\n`);
+    } catch (error) {
+      console.error(`\nFailed to add document: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Delete documents by id
+   * @param {Array<string>} ids - Document ids
+   */
+  async deleteDocuments(ids) {
+    if (ids.length === 0) {
+      console.log('\nUsage: delete <id> [id ...]\n');
+      return;
+    }
+
+    try {
+      const result = await this.matcher.deleteDocuments({ ids });
+      const missing = ids.filter(id => !result.ids.includes(id));
+      console.log(`\nDeleted ${result.deleted} document(s).`);
+      if (missing.length > 0) {
+        console.log(`Not found: ${missing.join(', ')}`);
+      }
+      console.log('');
+    } catch (error) {
+      console.error(`\nFailed to delete documents: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Display documents similar to stored ones
+   * Usage: similar <id> [id ...] [-id ...] [key:value filters]; ids prefixed with '-' are negative
+   * @param {Array<string>} args - Command arguments
+   */
+  async displaySimilar(args) {
+    let parsed;
+    try {
+      parsed = parseFilterTokens(args, { fields: await this.matcher.metadataFields() });
+    } catch (error) {
+      console.log(`\n${error.message}\n`);
+      return;
+    }
+
+    const positive = parsed.queryTokens.filter(id => !id.startsWith('-'));
+    const negative = parsed.queryTokens.filter(id => id.startsWith('-')).map(id => id.slice(1));
+    if (positive.length === 0) {
+      console.log('\nUsage: similar <id> [id ...] [-id ...] [key:value ...]\n');
+      return;
+    }
+
+    try {
+      const response = await this.matcher.similarTo({ positive, negative }, config.search.defaultTopK, {
+        where: parsed.where,
+        whereDocument: parsed.whereDocument
+      });
+
+      const label = positive.join(', ') + (negative.length > 0 ? `, not ${negative.join(', ')}` : '');
+      console.log(this.formatSearchResults({ ...response, query: `like ${label}` }));
+    } catch (error) {
+      console.error(`\nSimilarity search failed: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Load match items from a JSON, JSON Lines, CSV or TSV file
+   * @param {string} filePath - Path to the file; the extension selects the loader
+   * @returns {Promise<Array<object>>} Items with id, text, and metadata
+   */
+  async loadItems(filePath) {
+    return createDataLoader(loaderTypeFor(filePath), { filePath }).load();
+  }
+
+  /**
+   * Match items from a file against the collection or a second file
+   * Usage: match <file> [right:<file>] [strategy:topk|assignment] [top:N] [capacity:N] [quality:<level>]
+   * @param {Array<string>} args - Command arguments
+   */
+  async matchFile(args) {
+    const [filePath, ...rest] = args;
+    if (!filePath) {
+      console.log('\nUsage: match <file> [right:<file>] [strategy:topk|assignment] [top:N] [capacity:N] [quality:good]\n');
+      return;
+    }
+
+    const options = {};
+    let rightPath = null;
+    for (const token of rest) {
+      const [key, value] = token.split(/:(.*)/s);
+      switch (key) {
+        case 'right': rightPath = value; break;
+        case 'strategy': options.strategy = value; break;
+        case 'top': options.topK = parseInt(value); break;
+        case 'capacity': options.capacity = parseInt(value); break;
+        case 'quality': options.minQuality = value; break;
+        default:
+          console.log(`\nUnknown match option "${token}".\n`);
+          return;
+      }
+    }
+
+    try {
+      const left = await this.loadItems(filePath);
+      const right = rightPath ? await this.loadItems(rightPath) : null;
+      const response = await this.matcher.match(left, right, options);
+
+      console.log(`\nMatched ${response.summary.matched} of ${response.summary.left} item(s) ` +
+                  `against ${right ? rightPath : 'the collection'} (${response.strategy}):`);
+      console.log('─'.repeat(80));
+      response.results.forEach(result => {
+        console.log(`[${result.id}] ${result.text}`);
+        if (result.matches.length === 0) {
+          console.log('   (no suitable match)');
+        }
+        result.matches.forEach(match => {
+          console.log(`   ${this.getQualityIndicator(match.quality)} [${match.id}] ${match.text}`);
+          console.log(`      Distance: ${match.distance} (${match.qualityLabel})`);
+        });
+      });
+      console.log('─'.repeat(80));
+      if (response.unmatchedRight?.length > 0) {
+        console.log(`Unmatched in ${rightPath}: ${response.unmatchedRight.join(', ')}`);
+      }
+      console.log(`Total distance: ${response.summary.totalDistance}\n`);
+    } catch (error) {
+      console.error(`\nMatch failed: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Load a labeled evaluation set
+   * @param {string} filePath - JSON array or JSON Lines (.jsonl) of { query, relevant, id?, where?, options? }
+   * @returns {Promise<Array<object>>} Labeled queries
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  async loadEvaluationSet(filePath) {
+    const content = await readFile(filePath, 'utf8');
+    try {
+      if (filePath.toLowerCase().endsWith('.jsonl')) {
+        return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      }
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Evaluate retrieval quality on a labeled query file, optionally against a baseline
+   * Uses this session's search mode, diversification, re-ranking and threshold.
+   * Usage: eval <file> [k:N] [format:table|json|ndjson|csv] [save:<file>] [baseline:<file>] [tolerance:<0-1>]
+   * ndjson and csv write one record per query.
+   * @param {Array<string>} args - Command arguments
+   * @returns {Promise<number>} Exit code: ok, regression against the baseline, usage or failure
+   */
+  async evaluateFile(args) {
+    const [filePath, ...rest] = args;
+    if (!filePath) {
+      console.error('\nUsage: eval <file> [k:N] [format:table|json|ndjson|csv] [save:<file>] [baseline:<file>] [tolerance:0.01]\n');
+      return EXIT_CODES.usage;
+    }
+
+    const options = { k: config.search.defaultTopK, format: 'table', tolerance: 0 };
+    for (const token of rest) {
+      const [key, value] = token.split(/:(.*)/s);
+      switch (key) {
+        case 'k': options.k = parseInt(value); break;
+        case 'format': options.format = value; break;
+        case 'save': options.save = value; break;
+        case 'baseline': options.baseline = value; break;
+        case 'tolerance': options.tolerance = parseFloat(value); break;
+        default:
+          console.error(`\nUnknown eval option "${token}".\n`);
+          return EXIT_CODES.usage;
+      }
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+      console.error(`\nformat must be one of: ${OUTPUT_FORMATS.join(', ')}.\n`);
+      return EXIT_CODES.usage;
+    }
+    if (!Number.isFinite(options.tolerance) || options.tolerance < 0) {
+      console.error('\ntolerance must be a non-negative number.\n');
+      return EXIT_CODES.usage;
+    }
+
+    try {
+      const queries = await this.loadEvaluationSet(filePath);
+      const report = await this.matcher.evaluate(queries, { k: options.k, search: this.sessionOptions() });
+      const comparison = options.baseline
+        ? compareEvaluations(report, JSON.parse(await readFile(options.baseline, 'utf8')), { tolerance: options.tolerance })
+        : null;
+
+      if (options.save) {
+        await writeFile(options.save, `${JSON.stringify(report, null, 2)}\n`);
+      }
+
+      if (options.format === 'table') {
+        this.displayEvaluation(report, comparison);
+        if (options.save) {
+          console.log(`Report saved to ${options.save}\n`);
+        }
+      } else if (options.format === 'json') {
+        console.log(JSON.stringify(comparison ? { ...report, comparison } : report, null, 2));
+      } else {
+        const writer = new RecordWriter(options.format);
+        report.queries.forEach(({ id, query, metrics, relevant, retrieved }) => {
+          writer.write({ id, query, ...metrics, relevant, retrieved });
+        });
+        writer.end();
+      }
+      return comparison?.regressed ? EXIT_CODES.regression : EXIT_CODES.ok;
+    } catch (error) {
+      console.error(`\nEvaluation failed: ${error.message}\n`);
+      return exitCodeFor(error);
+    }
+  }
+
+  /**
+   * Print an evaluation report as tables
+   * @param {object} report - Report from SemanticMatcher.evaluate()
+   * @param {object|null} comparison - Result of compareEvaluations(), if a baseline was given
+   */
+  displayEvaluation(report, comparison) {
+    const k = report.k;
+    const cell = value => value.toFixed(3).padStart(11);
+    const header = `${'Query'.padEnd(12)}${[`Recall@${k}`, `Prec@${k}`, 'MRR', `nDCG@${k}`].map(name => name.padStart(11)).join('')}`;
+
+    console.log(`\nEvaluated ${report.queries.length} queries on ${report.evaluationMetadata.collection} ` +
+                `(k=${k}, ${report.evaluationMetadata.durationMs}ms):`);
+    console.log('─'.repeat(80));
+    console.log(header);
+    report.queries.forEach(query => {
+      const text = query.query.length > 24 ? `${query.query.slice(0, 23)}…` : query.query;
+      console.log(`${query.id.slice(0, 11).padEnd(12)}${EVALUATION_METRICS.map(metric => cell(query.metrics[metric])).join('')}  ${text}`);
+    });
+    console.log('─'.repeat(80));
+    console.log(`${'Overall'.padEnd(12)}${EVALUATION_METRICS.map(metric => cell(report.metrics[metric])).join('')}`);
+
+    if (comparison) {
+      console.log(`\nAgainst baseline (tolerance ${comparison.tolerance}):`);
+      console.log(`${'Metric'.padEnd(12)}${['Baseline', 'Current', 'Change'].map(name => name.padStart(11)).join('')}`);
+      EVALUATION_METRICS.forEach(metric => {
+        const { baseline, current, delta, regressed } = comparison.metrics[metric];
+        const change = `${delta >= 0 ? '+' : ''}${delta.toFixed(3)}`.padStart(11);
+        console.log(`${metric.padEnd(12)}${baseline === null ? '-'.padStart(11) : cell(baseline)}${cell(current)}${change}${regressed ? '  REGRESSED' : ''}`);
+      });
+      comparison.worseQueries.forEach(query => {
+        const drops = Object.entries(query.drops).map(([metric, delta]) => `${metric} ${delta.toFixed(3)}`).join(', ');
+        console.log(`  Worse: [${query.id}] ${query.query} (${drops})`);
+      });
+      if (comparison.missingQueries.length > 0) {
+        console.log(`  Not in this run: ${comparison.missingQueries.join(', ')}`);
+      }
+      console.log(comparison.regressed ? '\nResult: REGRESSION' : '\nResult: no regression');
+    }
+    console.log('');
+  }
+
+  /**
+   * Display a single document
+   * @param {string} id - Document id
+   */
+  async displayDocument(id) {
+    if (!id) {
+      console.log('\nUsage: get <id>\n');
+      return;
+    }
+
+    try {
+      const document = await this.matcher.getDocument(id);
+      if (!document) {
+        console.log(`\nNo document with id "${id}".\n`);
+        return;
+      }
+
+      console.log(`\n[${document.id}] ${document.text}`);
+      console.log('─'.repeat(30));
+      Object.entries(document.metadata).forEach(([key, value]) => {
+        console.log(`${key}: ${value}`);
+      });
+      console.log('');
+    } catch (error) {
+      console.error(`\nFailed to get document: ${error.message}\n`);
     }
   }
 
@@ -190,7 +898,7 @@ Tips:
       return;
     }
 
-    const [command, ...args] = trimmed.split(' ');
+    const [command, ...args] = this.tokenize(trimmed);
     const lowerCommand = command.toLowerCase();
 
     switch (lowerCommand) {
@@ -204,14 +912,70 @@ Tips:
         if (args.length === 0) {
           console.log('\nPlease provide a search query. Example: search React developer\n');
         } else {
-          await this.performSearch(args.join(' '));
+          await this.searchFromTokens(args);
         }
         break;
 
+      case 'mode':
+        this.setSearchMode(args[0]);
+        break;
+
+      case 'diversify':
+        this.setDiversify(args[0]);
+        break;
+
+      case 'rerank':
+        this.setRerank(args);
+        break;
+
+      case 'threshold':
+        this.setThreshold(args);
+        break;
+
       case 'stats':
         await this.displayStats();
         break;
 
+      case 'metrics':
+        await this.displayMetrics();
+        break;
+
+      case 'collections':
+        await this.displayCollections();
+        break;
+
+      case 'use':
+        this.useCollection(args[0]);
+        break;
+
+      case 'add':
+        await this.addDocument(args);
+        break;
+
+      case 'get':
+        await this.displayDocument(args[0]);
+        break;
+
+      case 'similar':
+        await this.displaySimilar(args);
+        break;
+
+      case 'match':
+        await this.matchFile(args);
+        break;
+
+      case 'eval':
+        await this.evaluateFile(args);
+        break;
+
+      case 'delete':
+        await this.deleteDocuments(args);
+        break;
+
+      case 'calibrate':
+        await this.calibrate();
+        break;
+
       case 'reset':
         await this.resetCollection();
         break;
@@ -224,7 +988,7 @@ Tips:
 
       default:
         // Treat unknown commands as search queries
-        await this.performSearch(trimmed);
+        await this.searchFromTokens([command, ...args]);
         break;
     }
 
@@ -239,10 +1003,26 @@ Tips:
       console.log('Semantic Matcher CLI v2.0');
       console.log('Initializing...\n');
       
-      await this.matcher.initialize();
+      await this.registry.initialize();
+
+      const sync = this.matcher.lastSync;
+      if (sync) {
+        console.log(`Index: ${sync.total} documents (${sync.added} added, ${sync.updated} updated, ` +
+                    `${sync.removed} removed, ${sync.unchanged} unchanged)\n`);
+      }
       
       console.log('Ready! Type "help" for available commands or start searching.\n');
       
+      this.rl = createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: 'semantic-matcher> '
+      });
+
+      // Setup graceful shutdown
+      process.on('SIGINT', this.shutdown);
+      process.on('SIGTERM', this.shutdown);
+
       // Setup readline event handlers
       this.rl.on('line', this.handleInput);
       this.rl.on('close', this.shutdown);
@@ -267,18 +1047,323 @@ Tips:
       this.rl.close();
     }
     
+    // Flush pending writes of the in-process store
+    try {
+      await this.registry.close();
+    } catch (error) {
+      console.error(`Failed to save data: ${error.message}`);
+    }
+    
     // Allow time for cleanup
     setTimeout(() => {
       console.log('Goodbye!');
       process.exit(0);
     }, 100);
   }
+
+  /**
+   * Display usage of the one-shot commands
+   */
+  displayUsage() {
+    console.log(`
+Usage: semantic-matcher [command] [arguments] [flags]
+
+Without a command the interactive prompt starts.
+
+Commands:
+  search [query]             Search; without a query, reads one query per line from stdin
+  stats                      Show collection statistics
+  load <file>                Add or update documents from a JSON, JSONL, CSV or TSV file
+  reset --yes                Recreate the collection and reload the configured data
+  eval <file>                Score labeled queries (see "eval" in the interactive help)
+
+Flags:
+  -k, --top-k <n>            Results per query (search) or cutoff rank (eval)
+  -f, --filter <expr>        Metadata filter, repeatable: key=value, key=a,b, key!=value, key>=3
+      --contains <text>      Document text must contain text, repeatable
+      --mode <mode>          Search mode: ${SEARCH_MODES.join(', ')}
+      --min-quality <level>  Drop results worse than: ${QUALITY_LEVELS.join(', ')}
+  -c, --collection <name>    Collection to use (default: ${this.registry.defaultName})
+      --format <format>      Output: ${OUTPUT_FORMATS.join(', ')} (default table)
+      --json                 Same as --format json
+      --type <type>          load: loader type, json, jsonl, csv or tsv (default: from the extension)
+  -y, --yes                  reset: confirm deleting the collection's documents
+      --save <file>          eval: save the report as a baseline
+      --baseline <file>      eval: compare with a saved report
+      --tolerance <n>        eval: allowed drop per metric (default 0)
+  -v, --verbose              Log debug output to stderr
+  -h, --help                 Show this help
+
+Exit codes: 0 success, 1 failure, 2 invalid usage or input, 3 eval regression
+
+Examples:
+  semantic-matcher search "react dev" --top-k 5 --filter category=development --json
+  cat queries.txt | semantic-matcher search --format ndjson
+  semantic-matcher load profiles.csv --type csv
+  semantic-matcher eval queries.json --baseline baseline.json --tolerance 0.01
+`);
+  }
+
+  /**
+   * Parse and validate a one-shot command line
+   * Runs before the collections are opened, so invalid usage costs nothing and changes nothing.
+   * @param {Array<string>} argv - Arguments after the script name
+   * @returns {object} Parsed command: name, flags, format and a run() function returning the exit code
+   * @throws {ValidationError} If the command, a flag or an argument is invalid
+   */
+  parseCommand(argv) {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: COMMAND_OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+    const { values: flags, positionals: [name, ...args] } = parsed;
+
+    if (flags.help || name === 'help') {
+      return { name: 'help', flags, run: async () => { this.displayUsage(); return EXIT_CODES.ok; } };
+    }
+    if (!ONE_SHOT_COMMANDS.includes(name)) {
+      throw new ValidationError(`${name ? `Unknown command "${name}"` : 'Missing command'}. ` +
+        `Commands: ${ONE_SHOT_COMMANDS.join(', ')} (see --help)`);
+    }
+
+    const format = flags.json ? 'json' : flags.format ?? 'table';
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new ValidationError(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    switch (name) {
+      case 'search': {
+        const topK = flags['top-k'] === undefined ? config.search.defaultTopK : Number(flags['top-k']);
+        if (!Number.isInteger(topK) || topK < 1) {
+          throw new ValidationError('--top-k must be a positive integer');
+        }
+        if (flags.mode !== undefined && !SEARCH_MODES.includes(flags.mode)) {
+          throw new ValidationError(`--mode must be one of: ${SEARCH_MODES.join(', ')}`);
+        }
+        if (flags['min-quality'] !== undefined && !QUALITY_LEVELS.includes(flags['min-quality'])) {
+          throw new ValidationError(`--min-quality must be one of: ${QUALITY_LEVELS.join(', ')}`);
+        }
+        let filters;
+        try {
+          filters = parseFilterTokens([
+            ...(flags.filter || []).map(filterToken),
+            ...(flags.contains || []).map(text => `contains:${text}`)
+          ]);
+        } catch (error) {
+          throw new ValidationError(error.message);
+        }
+
+        const query = args.join(' ');
+        if (!query && process.stdin.isTTY) {
+          throw new ValidationError('search needs a query, or queries on stdin (one per line)');
+        }
+        const options = {
+          where: filters.where,
+          whereDocument: filters.whereDocument,
+          mode: flags.mode ?? this.searchMode,
+          minQuality: flags['min-quality']
+        };
+        return {
+          name, flags, format,
+          // A query argument gives one response; stdin gives one per line
+          run: () => this.searchCommand(query ? [query] : createInterface({ input: process.stdin, crlfDelay: Infinity }),
+            topK, options, format, Boolean(query))
+        };
+      }
+
+      case 'stats':
+        return { name, flags, format, run: () => this.statsCommand(format) };
+
+      case 'load': {
+        const [filePath] = args;
+        if (!filePath) {
+          throw new ValidationError('load needs a file: semantic-matcher load <file> [--type json|jsonl|csv|tsv]');
+        }
+        const type = flags.type ?? loaderTypeFor(filePath);
+        if (!['json', 'jsonl', 'csv', 'tsv'].includes(type)) {
+          throw new ValidationError('--type must be one of: json, jsonl, csv, tsv');
+        }
+        return { name, flags, format, run: () => this.loadCommand(filePath, type, format) };
+      }
+
+      case 'reset':
+        if (!flags.yes) {
+          throw new ValidationError('reset deletes every document in the collection; pass --yes to confirm');
+        }
+        return { name, flags, format, run: () => this.resetCommand(format) };
+
+      case 'eval': {
+        if (!args[0]) {
+          throw new ValidationError('eval needs a file: semantic-matcher eval <file> [--baseline <file>] [--tolerance <n>]');
+        }
+        const k = flags['top-k'] === undefined ? undefined : Number(flags['top-k']);
+        if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > config.search.maxTopK)) {
+          throw new ValidationError(`--top-k must be an integer from 1 to ${config.search.maxTopK}`);
+        }
+        const tolerance = flags.tolerance === undefined ? 0 : Number(flags.tolerance);
+        if (!Number.isFinite(tolerance) || tolerance < 0) {
+          throw new ValidationError('--tolerance must be a non-negative number');
+        }
+        // Flags map onto the interactive command's key:value options
+        const options = { k: flags['top-k'], save: flags.save, baseline: flags.baseline, tolerance: flags.tolerance, format };
+        const tokens = Object.entries(options)
+          .filter(([, value]) => value !== undefined)
+          .map(([key, value]) => `${key}:${value}`);
+        return { name, flags, format, run: () => this.evaluateFile([...args, ...tokens]) };
+      }
+    }
+  }
+
+  /**
+   * Run queries and write their results
+   * A failed query is reported on stderr and the remaining queries still run.
+   * @param {Iterable<string>|AsyncIterable<string>} queries - Queries; blank ones are skipped
+   * @param {number} topK - Results per query
+   * @param {object} options - Search options
+   * @param {string} format - Output format
+   * @param {boolean} single - JSON: write one response object rather than an array
+   * @returns {Promise<number>} Exit code: ok, or the code of the last failed query
+   */
+  async searchCommand(queries, topK, options, format, single) {
+    const writer = format === 'table'
+      ? null
+      : new RecordWriter(format, { single, columns: format === 'csv' ? SEARCH_CSV_COLUMNS : null });
+    let status = EXIT_CODES.ok;
+
+    for await (const query of queries) {
+      if (!query.trim()) continue;
+
+      let response;
+      try {
+        response = await this.matcher.search(query, topK, options);
+      } catch (error) {
+        console.error(`Search failed for "${query}": ${error.message}`);
+        status = exitCodeFor(error);
+        continue;
+      }
+
+      if (!writer) {
+        console.log(this.formatSearchResults(response));
+      } else if (format === 'csv') {
+        response.results.forEach((result, index) => writer.write({ ...result, query: response.query, rank: index + 1 }));
+      } else {
+        writer.write(response);
+      }
+    }
+
+    writer?.end();
+    return status;
+  }
+
+  /**
+   * Write collection statistics
+   * @param {string} format - Output format; csv writes one row of flattened fields
+   * @returns {Promise<number>} Exit code
+   */
+  async statsCommand(format) {
+    const stats = await this.matcher.getStats();
+    if (format === 'table') {
+      this.printStats(stats);
+    } else {
+      const writer = new RecordWriter(format, { single: true });
+      writer.write(format === 'csv' ? flattenRecord(stats) : stats);
+      writer.end();
+    }
+    return EXIT_CODES.ok;
+  }
+
+  /**
+   * Add or update documents from a file
+   * Streams the file through the matcher's ingest, so unchanged documents are skipped.
+   * @param {string} filePath - Data file
+   * @param {string} type - Data loader type
+   * @param {string} format - Output format
+   * @returns {Promise<number>} Exit code
+   */
+  async loadCommand(filePath, type, format) {
+    const report = await this.matcher.ingest({ loader: createDataLoader(type, { filePath }) });
+    if (format === 'table') {
+      console.log(`Loaded ${filePath} into ${this.matcher.collectionName}: ${report.added} added, ` +
+                  `${report.updated} updated, ${report.unchanged} unchanged (${report.total} documents)`);
+    } else {
+      const writer = new RecordWriter(format, { single: true });
+      writer.write({ collection: this.matcher.collectionName, file: filePath, ...report });
+      writer.end();
+    }
+    return EXIT_CODES.ok;
+  }
+
+  /**
+   * Recreate the collection and reload the configured data
+   * @param {string} format - Output format
+   * @returns {Promise<number>} Exit code
+   */
+  async resetCommand(format) {
+    await this.matcher.reset();
+    const { documentCount } = await this.matcher.getStats();
+    if (format === 'table') {
+      console.log(`Collection ${this.matcher.collectionName} reset (${documentCount} documents)`);
+    } else {
+      const writer = new RecordWriter(format, { single: true });
+      writer.write({ collection: this.matcher.collectionName, reset: true, documents: documentCount });
+      writer.end();
+    }
+    return EXIT_CODES.ok;
+  }
+
+  /**
+   * Run a one-shot command and exit with its status
+   * stdout carries only the command's output; logs go to stderr. Collections
+   * are opened without the startup sync, so documents from `load` are kept.
+   * Only an empty collection is filled from the configured data loader.
+   * @param {Array<string>} argv - Arguments after the script name
+   */
+  async runCommand(argv) {
+    let status;
+    let opened = false;
+    try {
+      const command = this.parseCommand(argv);
+
+      configureLogging({
+        level: command.flags.verbose ? 'debug' : config.logging.cliLevel,
+        sinks: config.logging.sinks.map(sink => (sink === 'stdout' ? 'stderr' : sink))
+      });
+
+      if (command.name !== 'help') {
+        await this.registry.initialize({ sync: false });
+        opened = true;
+        if (command.flags.collection) {
+          this.matcher = this.registry.get(command.flags.collection);
+        }
+      }
+      status = await command.run();
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      status = exitCodeFor(error);
+    }
+
+    if (opened) {
+      try {
+        await this.registry.close();
+      } catch (error) {
+        console.error(`Failed to save data: ${error.message}`);
+        status = EXIT_CODES.failure;
+      }
+    }
+
+    // Let piped output drain before exiting
+    process.stdout.write('', () => process.exit(status));
+  }
 }
 
-// Start CLI if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+// Start CLI if this file is executed directly, also through the package bin symlink
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
   const cli = new SemanticMatcherCLI();
-  cli.start().catch((error) => {
+  const argv = process.argv.slice(2);
+  const run = argv.length > 0 ? cli.runCommand(argv) : cli.start();
+  run.catch((error) => {
     console.error('Fatal error:', error.message);
     process.exit(1);
   });
@@ -3,6 +3,51 @@
  * Centralizes all configurable values with environment variable support
  */
 
+/**
+ * Parse a comma-separated list from an environment variable
+ * @param {string} value - Variable value
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseListEnv(value = '') {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a JSON object from an environment variable
+ * @param {string} name - Environment variable name
+ * @returns {object} Parsed object, or an empty object if unset
+ * @throws {Error} If the variable is set but is not valid JSON
+ */
+function parseJSONEnv(name) {
+  if (!process.env[name]) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a non-negative integer from an environment variable
+ * Unlike `parseInt(x) || default`, an explicit 0 is kept.
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or empty
+ * @returns {number} Parsed value
+ * @throws {Error} If the variable is set but is not a non-negative integer
+ */
+function parseCountEnv(name, defaultValue) {
+  const value = process.env[name]?.trim();
+  if (!value) {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return parseInt(value);
+}
+
 export const config = {
   // ChromaDB Connection Settings
   chromadb: {
@@ -11,22 +56,129 @@ export const config = {
     heartbeatDelay: parseInt(process.env.CHROMADB_RETRY_DELAY) || 2000
   },
 
+  // Storage Settings
+  storage: {
+    // 'chroma' (ChromaDB server) or 'memory' (in-process store, no external services)
+    type: process.env.STORAGE_BACKEND || 'chroma',
+    options: {
+      // File the memory backend persists to (empty keeps data in memory only)
+      path: process.env.STORAGE_PATH ?? '.vector-store.json',
+      flushInterval: parseInt(process.env.STORAGE_FLUSH_INTERVAL) || 1000
+    }
+  },
+
   // Collection Settings
   collection: {
     name: process.env.COLLECTION_NAME || 'semantic_matches',
-    description: process.env.COLLECTION_DESCRIPTION || "Semantic matching collection"
+    description: process.env.COLLECTION_DESCRIPTION || "Semantic matching collection",
+    // Reuse an existing collection and sync changes instead of recreating it on startup
+    persistent: process.env.COLLECTION_PERSISTENT !== 'false',
+    // Remove documents written by the data loader that it no longer returns
+    pruneStale: process.env.COLLECTION_PRUNE_STALE !== 'false',
+    // Distance metric for new collections: 'l2', 'cosine' or 'ip' (inner product)
+    distance: process.env.COLLECTION_DISTANCE || 'l2'
+  },
+
+  // Additional collections as JSON, keyed by name, e.g.
+  // {"jobs": {"dataLoader": {"type": "json", "options": {"filePath": "data/jobs.json"}}}}
+  collections: parseJSONEnv('COLLECTIONS'),
+
+  // Data Loader Settings
+  dataLoader: {
+    type: process.env.DATA_LOADER_TYPE || 'sample',
+    options: {
+      filePath: process.env.DATA_LOADER_FILE_PATH,
+      // Extra loader options as JSON, e.g. a CSV column mapping
+      ...parseJSONEnv('DATA_LOADER_OPTIONS')
+    }
+  },
+
+  // Embedding Settings
+  embedding: {
+    // 'default' (Chroma's built-in model), 'openai' (any /v1/embeddings server) or 'hash' (tests)
+    provider: process.env.EMBEDDING_PROVIDER || 'default',
+    options: {
+      model: process.env.EMBEDDING_MODEL || undefined,
+      url: process.env.EMBEDDING_URL || 'http://localhost:11434',
+      apiKey: process.env.EMBEDDING_API_KEY || undefined,
+      dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || undefined,
+      batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64,
+      timeout: parseInt(process.env.EMBEDDING_TIMEOUT) || 30000
+    }
+  },
+
+  // Ingest Settings
+  ingest: {
+    batchSize: parseInt(process.env.INGEST_BATCH_SIZE) || 100,
+    retries: parseCountEnv('INGEST_RETRIES', 3),
+    retryDelay: parseInt(process.env.INGEST_RETRY_DELAY) || 1000,
+    // Progress file used to resume interrupted ingests (empty disables)
+    checkpointFile: process.env.INGEST_CHECKPOINT_FILE ?? '.ingest-checkpoint.json'
   },
 
   // API Server Settings
   server: {
     port: parseInt(process.env.PORT) || 3000,
-    host: process.env.HOST || 'localhost'
+    host: process.env.HOST || 'localhost',
+    // Log responses that do not match their OpenAPI schema (default: on in development)
+    validateResponses: process.env.API_VALIDATE_RESPONSES
+      ? process.env.API_VALIDATE_RESPONSES === 'true'
+      : (process.env.NODE_ENV || 'development') === 'development'
+  },
+
+  // API Authentication Settings (no keys configured leaves the API open)
+  auth: {
+    // Comma-separated "key:role" pairs; role is 'read' (default) or 'admin'
+    keys: process.env.API_KEYS || '',
+    // JSON file with [{ "key": "...", "role": "admin", "name": "ci", "rateLimit": 600 }]
+    keysFile: process.env.API_KEYS_FILE || '',
+    // Requests per window for each key (0 disables rate limiting)
+    rateLimit: parseInt(process.env.API_RATE_LIMIT) || 60,
+    rateWindow: parseInt(process.env.API_RATE_WINDOW) || 60000
   },
 
   // Search Settings
   search: {
     defaultTopK: parseInt(process.env.DEFAULT_TOP_K) || 3,
-    maxTopK: parseInt(process.env.MAX_TOP_K) || 20
+    maxTopK: parseInt(process.env.MAX_TOP_K) || 20,
+    // Over-fetching for post-processing stages such as parent grouping
+    candidateMultiplier: parseInt(process.env.SEARCH_CANDIDATE_MULTIPLIER) || 5,
+    maxCandidates: parseInt(process.env.SEARCH_MAX_CANDIDATES) || 100,
+    // Default search mode: 'vector', 'keyword' or 'hybrid'
+    defaultMode: process.env.SEARCH_MODE || 'vector',
+    // Local BM25 index used by keyword and hybrid modes
+    keywordIndex: process.env.KEYWORD_INDEX !== 'false',
+    // Default re-ranking stages as JSON, e.g. [{"type": "lexical", "weight": 0.3}]
+    rerank: process.env.SEARCH_RERANK ? parseJSONEnv('SEARCH_RERANK') : [],
+    // Maximum queries per batch search request
+    maxBatchSize: parseInt(process.env.SEARCH_MAX_BATCH_SIZE) || 100,
+    // Queries sent to the vector store per grouped batch query
+    batchChunkSize: parseInt(process.env.SEARCH_BATCH_CHUNK_SIZE) || 50
+  },
+
+  // Cache Settings
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    // Search results, dropped whenever the collection changes
+    resultSize: parseInt(process.env.CACHE_RESULT_SIZE) || 500,
+    resultTTL: parseInt(process.env.CACHE_RESULT_TTL) || 300000,
+    // Query embeddings, which only depend on the embedding model (TTL 0 never expires)
+    embeddingSize: parseInt(process.env.CACHE_EMBEDDING_SIZE) || 1000,
+    embeddingTTL: parseInt(process.env.CACHE_EMBEDDING_TTL) || 0
+  },
+
+  // Match Quality Settings
+  quality: {
+    // 'metric' uses the fixed bands for the collection's distance metric,
+    // 'calibrated' derives them from distances between stored documents
+    bands: process.env.QUALITY_BANDS || 'metric',
+    calibrationSampleSize: parseInt(process.env.QUALITY_CALIBRATION_SAMPLE) || 100
+  },
+
+  // Matching Settings
+  match: {
+    // Maximum items on each side of a match request
+    maxItems: parseInt(process.env.MATCH_MAX_ITEMS) || 1000
   },
 
   // Environment
@@ -34,30 +186,83 @@ export const config = {
   
   // Logging
   logging: {
-    level: process.env.LOG_LEVEL || 'info'
+    level: process.env.LOG_LEVEL || 'info',
+    // Level of one-shot CLI commands, which log to stderr
+    cliLevel: process.env.CLI_LOG_LEVEL || 'warn',
+    // 'pretty' for reading, 'json' (one object per line) for log pipelines
+    format: process.env.LOG_FORMAT || 'pretty',
+    // Where lines go: stdout and/or file
+    sinks: parseListEnv(process.env.LOG_SINKS || 'stdout'),
+    file: {
+      path: process.env.LOG_FILE || './logs/semantic-matcher.log',
+      maxSize: parseInt(process.env.LOG_FILE_MAX_SIZE) || 10 * 1024 * 1024,
+      maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES) || 5
+    },
+    // Fields replaced with [REDACTED] at any depth, e.g. query,text
+    redact: parseListEnv(process.env.LOG_REDACT)
   }
 };
 
 /**
- * Distance interpretation guide for semantic matching results
+ * Match quality levels, best first
  */
-export const distanceGuide = {
-  excellent: { min: 0.0, max: 0.8, label: 'Excellent Match' },
-  good: { min: 0.8, max: 1.2, label: 'Good Match' },
-  weak: { min: 1.2, max: 1.6, label: 'Weak Match' },
-  poor: { min: 1.6, max: Infinity, label: 'Poor Match' }
+export const QUALITY_LEVELS = ['excellent', 'good', 'weak', 'poor'];
+
+/**
+ * Display labels for each quality level
+ */
+export const QUALITY_LABELS = {
+  excellent: 'Excellent Match',
+  good: 'Good Match',
+  weak: 'Weak Match',
+  poor: 'Poor Match'
+};
+
+/**
+ * Build a distance interpretation guide from the upper bounds of the first three levels
+ * @param {Array<number>} bounds - Maximum distance for excellent, good and weak matches
+ * @returns {object} Guide keyed by quality level with min, max and label
+ */
+export function buildDistanceGuide([excellent, good, weak]) {
+  const limits = [0, excellent, good, weak, Infinity];
+  return Object.fromEntries(QUALITY_LEVELS.map((level, index) => [
+    level,
+    { min: limits[index], max: limits[index + 1], label: QUALITY_LABELS[level] }
+  ]));
+}
+
+/**
+ * Distance interpretation guides for each distance metric
+ * Bands are tuned for unit-length sentence embeddings, where squared L2
+ * distance is twice the cosine distance and inner product distance equals it.
+ */
+export const distanceGuides = {
+  l2: buildDistanceGuide([0.8, 1.2, 1.6]),
+  cosine: buildDistanceGuide([0.4, 0.6, 0.8]),
+  ip: buildDistanceGuide([0.4, 0.6, 0.8])
 };
 
 /**
  * Get match quality based on distance score
- * @param {number} distance - Distance score from ChromaDB
+ * @param {number} distance - Distance score from the vector store
+ * @param {object} guide - Distance guide to interpret it with (default: the L2 guide)
  * @returns {object} Match quality information
  */
-export function getMatchQuality(distance) {
-  for (const [key, range] of Object.entries(distanceGuide)) {
+export function getMatchQuality(distance, guide = distanceGuides.l2) {
+  for (const [key, range] of Object.entries(guide)) {
     if (distance >= range.min && distance < range.max) {
       return { quality: key, label: range.label, distance };
     }
   }
-  return { quality: 'poor', label: 'Poor Match', distance };
-}
\ No newline at end of file
+  return { quality: 'poor', label: QUALITY_LABELS.poor, distance };
+}
+
+/**
+ * Check whether a quality level is at least as good as a minimum level
+ * @param {string} quality - Quality key from getMatchQuality
+ * @param {string} minQuality - Minimum acceptable quality key
+ * @returns {boolean} True if quality meets the minimum
+ */
+export function meetsQuality(quality, minQuality) {
+  return QUALITY_LEVELS.indexOf(quality) <= QUALITY_LEVELS.indexOf(minQuality);
+}
@@ -0,0 +1,264 @@
+/**
+ * CollectionRegistry - Manages the collections served by the application
+ *
+ * Each collection is a SemanticMatcher with its own data loader and
+ * settings, all sharing one storage backend. The default collection is
+ * configured by config.collection; others are declared in
+ * config.collections, created at runtime, or reopened on startup from the
+ * settings recorded in their metadata.
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { config } from '../config.mjs';
+import { logger } from '../utils/logger.mjs';
+import { createStorageBackend } from '../storage/backends.mjs';
+import { SemanticMatcher } from './SemanticMatcher.mjs';
+import { ValidationError, NotFoundError, ConflictError } from './errors.mjs';
+
+// Collection names accepted by ChromaDB: 3-63 characters, starting and ending alphanumeric
+const COLLECTION_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,61}[a-zA-Z0-9]$/;
+
+// Per-collection settings, passed through to SemanticMatcher
+const COLLECTION_SETTINGS = [
+  'description', 'dataLoader', 'embedding', 'distance', 'qualityBands',
+  'rerank', 'persistent', 'pruneStale', 'keywordIndex'
+];
+
+// Collections other than the default start without a data source; their
+// documents arrive through the API, so nothing is pruned on sync
+const COLLECTION_DEFAULTS = { dataLoader: { type: 'none' }, pruneStale: false };
+
+// Settings that read server files or call out to other services; only
+// config.collections may set them, not collections created at runtime
+const SERVER_ONLY_SETTINGS = ['dataLoader', 'embedding'];
+
+export class CollectionRegistry {
+  /**
+   * Create a registry with the default and configured collections
+   * @param {object} options - Configuration options
+   * @param {string} options.chromaUrl - ChromaDB server URL
+   * @param {object} options.storage - Storage backend configuration ({ type, options })
+   * @param {string} options.defaultCollection - Name of the default collection
+   * @param {object} options.defaults - SemanticMatcher options for the default collection
+   * @param {object} options.collections - Additional collection settings keyed by name
+   */
+  constructor(options = {}) {
+    this.chromaUrl = options.chromaUrl || config.chromadb.url;
+    const storageConfig = options.storage || config.storage;
+    this.backend = createStorageBackend(storageConfig.type, { url: this.chromaUrl, ...storageConfig.options });
+    this.defaultName = options.defaultCollection || config.collection.name;
+    this.entries = new Map();
+
+    this.entries.set(this.defaultName, {
+      matcher: new SemanticMatcher({
+        ...options.defaults,
+        collectionName: this.defaultName,
+        chromaUrl: this.chromaUrl,
+        backend: this.backend
+      }),
+      settings: null
+    });
+
+    for (const [name, settings] of Object.entries(options.collections || config.collections)) {
+      this.entries.set(name, this.createEntry(name, settings));
+    }
+  }
+
+  /**
+   * Validate a collection name and settings
+   * @param {string} name - Collection name
+   * @param {object} settings - Collection settings
+   * @throws {ValidationError} If the name or a setting is invalid
+   */
+  validate(name, settings) {
+    if (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name)) {
+      throw new ValidationError(
+        'Collection name must be 3-63 characters of letters, digits, ".", "_" or "-", starting and ending with a letter or digit'
+      );
+    }
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+      throw new ValidationError('Collection settings must be an object');
+    }
+
+    const unknown = Object.keys(settings).filter(key => !COLLECTION_SETTINGS.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown collection settings: ${unknown.join(', ')}. Allowed: ${COLLECTION_SETTINGS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Reject settings that collections created at runtime may not use
+   * @param {object} settings - Collection settings
+   * @throws {ValidationError} If a server-only setting differs from its default
+   */
+  validateRuntimeSettings(settings) {
+    const restricted = SERVER_ONLY_SETTINGS.filter(
+      key => settings[key] !== undefined && !isDeepStrictEqual(settings[key], COLLECTION_DEFAULTS[key])
+    );
+    if (restricted.length > 0) {
+      throw new ValidationError(`${restricted.join(', ')} can only be set for collections declared in COLLECTIONS`);
+    }
+  }
+
+  /**
+   * Build the matcher for a non-default collection
+   * @param {string} name - Collection name
+   * @param {object} settings - Collection settings
+   * @returns {{matcher: SemanticMatcher, settings: object}} Registry entry
+   * @throws {ValidationError} If the settings are invalid
+   */
+  createEntry(name, settings = {}) {
+    this.validate(name, settings);
+    const resolved = { ...COLLECTION_DEFAULTS, ...settings };
+
+    try {
+      return {
+        matcher: new SemanticMatcher({
+          ...resolved,
+          collectionName: name,
+          chromaUrl: this.chromaUrl,
+          backend: this.backend,
+          collectionSettings: resolved
+        }),
+        settings: resolved
+      };
+    } catch (error) {
+      throw new ValidationError(`Invalid settings for collection "${name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Initialize the default and configured collections, then reopen
+   * collections created at runtime by an earlier process
+   * @param {object} options - Passed to SemanticMatcher.initialize(), e.g. { sync: false }
+   * @returns {Promise<void>}
+   */
+  async initialize(options = {}) {
+    for (const { matcher } of this.entries.values()) {
+      await matcher.initialize(options);
+    }
+
+    for (const { name, metadata } of await this.backend.listCollections()) {
+      if (this.entries.has(name) || typeof metadata?.settings !== 'string') continue;
+
+      // A collection that cannot be reopened should not stop the others from serving
+      try {
+        const settings = JSON.parse(metadata.settings);
+        this.validateRuntimeSettings(settings);
+        const entry = this.createEntry(name, settings);
+        await entry.matcher.initialize(options);
+        this.entries.set(name, entry);
+        logger.info('Reopened collection', { name });
+      } catch (error) {
+        logger.error('Failed to reopen collection', { name, error: error.message });
+      }
+    }
+
+    logger.info('Collections ready', { collections: this.names() });
+  }
+
+  /**
+   * Names of the managed collections
+   * @returns {Array<string>} Collection names, default first
+   */
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Get the matcher for a collection
+   * @param {string} name - Collection name (default collection if omitted)
+   * @returns {SemanticMatcher} Matcher bound to the collection
+   * @throws {NotFoundError} If the collection is not managed by this registry
+   */
+  get(name = this.defaultName) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new NotFoundError(`Collection "${name}" does not exist`);
+    }
+    return entry.matcher;
+  }
+
+  /**
+   * Summarize every managed collection
+   * @returns {Promise<Array<object>>} Name, default flag, document count, distance, embedding and data loader
+   */
+  async list() {
+    return Promise.all([...this.entries].map(async ([name, { matcher, settings }]) => ({
+      name,
+      default: name === this.defaultName,
+      description: matcher.description,
+      documentCount: matcher.initialized ? await matcher.collection.count() : null,
+      distance: matcher.distanceSpace,
+      embedding: matcher.embeddingInfo,
+      dataLoader: (settings?.dataLoader ?? config.dataLoader).type
+    })));
+  }
+
+  /**
+   * Create and initialize a collection at runtime
+   * @param {string} name - Collection name
+   * @param {object} settings - Collection settings (see COLLECTION_SETTINGS, except SERVER_ONLY_SETTINGS)
+   * @returns {Promise<SemanticMatcher>} Matcher bound to the new collection
+   * @throws {ValidationError} If the name or settings are invalid
+   * @throws {ConflictError} If the collection already exists
+   */
+  async create(name, settings = {}) {
+    this.validate(name, settings);
+    this.validateRuntimeSettings(settings);
+    if (this.entries.has(name)) {
+      throw new ConflictError(`Collection "${name}" already exists`);
+    }
+
+    const stored = await this.backend.listCollections();
+    if (stored.some(collection => collection.name === name)) {
+      throw new ConflictError(`Collection "${name}" already exists in storage but is not managed by this server`);
+    }
+
+    const entry = this.createEntry(name, settings);
+    await entry.matcher.initialize();
+    this.entries.set(name, entry);
+
+    logger.info('Collection created', { name, dataLoader: entry.settings.dataLoader.type });
+    return entry.matcher;
+  }
+
+  /**
+   * Delete a collection and its documents
+   * @param {string} name - Collection name
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the collection does not exist
+   * @throws {ConflictError} If it is the default collection
+   */
+  async delete(name) {
+    if (name === this.defaultName) {
+      throw new ConflictError('The default collection cannot be deleted');
+    }
+    if (!this.entries.has(name)) {
+      throw new NotFoundError(`Collection "${name}" does not exist`);
+    }
+
+    await this.backend.deleteCollection({ name });
+    // Shares the registry's backend, so this only drops its metrics
+    await this.entries.get(name).matcher.close();
+    this.entries.delete(name);
+    logger.info('Collection deleted', { name });
+  }
+
+  /**
+   * Health check - verify storage backend connectivity
+   * @returns {Promise<boolean>} True if healthy
+   */
+  async healthCheck() {
+    return this.get().healthCheck();
+  }
+
+  /**
+   * Flush pending storage writes before the process exits
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.backend.close();
+    logger.debug('Collection registry closed');
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * KeywordIndex - In-process BM25 inverted index
+ *
+ * Complements vector search with exact-token matching for terms such as
+ * "AWS", "CI/CD" or product SKUs that embeddings tend to blur.
+ */
+
+import { matchesWhere, matchesWhereDocument } from './filters.mjs';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'of', 'on', 'or', 'that', 'the', 'to', 'with'
+]);
+
+/**
+ * Split text into lowercase search terms
+ * Compound tokens such as "ci/cd", "node.js" or "sku-1042" are kept whole and
+ * also indexed by their parts, so both exact and partial queries match.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  const terms = [];
+  const tokens = String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:[./+#&_-][\p{L}\p{N}]+)*[+#]*/gu) || [];
+
+  for (const token of tokens) {
+    const parts = token.split(/[./&_-]/).filter(Boolean);
+    if (parts.length > 1 || /[+#]$/.test(token)) {
+      terms.push(token);
+    }
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) {
+        terms.push(part);
+      }
+    }
+  }
+
+  return terms;
+}
+
+export class KeywordIndex {
+  /**
+   * @param {object} options - BM25 parameters
+   * @param {number} options.k1 - Term frequency saturation (default 1.2)
+   * @param {number} options.b - Length normalization (default 0.75)
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  /**
+   * Remove all documents
+   */
+  clear() {
+    this.documents = new Map();   // id -> { text, metadata, length, terms: Map<term, count> }
+    this.postings = new Map();    // term -> Set<id>
+    this.totalLength = 0;
+  }
+
+  /**
+   * Number of indexed documents
+   * @returns {number} Document count
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add or replace a document
+   * @param {string} id - Document id
+   * @param {string} text - Document text
+   * @param {object} metadata - Stored metadata, used for filtering
+   */
+  add(id, text, metadata = {}) {
+    this.remove(id);
+
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const term of tokens) {
+      terms.set(term, (terms.get(term) || 0) + 1);
+    }
+
+    for (const term of terms.keys()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(id);
+    }
+
+    this.documents.set(id, { text, metadata, length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Remove a document if present
+   * @param {string} id - Document id
+   */
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    for (const term of document.terms.keys()) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * Rank documents against a query with BM25
+   * @param {string} query - Query text
+   * @param {object} options - Search options
+   * @param {number} options.limit - Maximum results
+   * @param {object} options.where - Normalized metadata filter
+   * @param {object} options.whereDocument - Normalized document filter
+   * @returns {Array<{id: string, text: string, metadata: object, score: number}>} Hits, best first
+   */
+  search(query, { limit = 10, where, whereDocument } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const count = this.documents.size;
+    if (queryTerms.length === 0 || count === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / count || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+
+      const idf = Math.log(1 + (count - ids.size + 0.5) / (ids.size + 0.5));
+
+      for (const id of ids) {
+        const document = this.documents.get(id);
+        const frequency = document.terms.get(term);
+        const norm = frequency + this.k1 * (1 - this.b + this.b * (document.length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + idf * (frequency * (this.k1 + 1)) / norm);
+      }
+    }
+
+    const hits = [];
+    for (const [id, score] of scores) {
+      const document = this.documents.get(id);
+      if (matchesWhere(document.metadata, where) && matchesWhereDocument(document.text, whereDocument)) {
+        hits.push({ id, text: document.text, metadata: document.metadata, score });
+      }
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
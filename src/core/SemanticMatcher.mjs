@@ -1,14 +1,83 @@
 /**
- * SemanticMatcher - Core semantic matching functionality using ChromaDB
+ * SemanticMatcher - Core semantic matching functionality
  * 
  * This class provides the main interface for semantic search operations.
- * It handles ChromaDB connections, collection management, and search queries.
+ * It handles storage backend connections (ChromaDB or the in-process store),
+ * collection management, and search queries.
  */
 
-import { ChromaClient } from 'chromadb';
-import { config, getMatchQuality } from '../config.mjs';
+import { createHash, randomUUID } from 'crypto';
+import { config, getMatchQuality, meetsQuality, QUALITY_LEVELS, distanceGuides, buildDistanceGuide } from '../config.mjs';
 import { logger } from '../utils/logger.mjs';
-import { createDataLoader } from '../data/dataLoader.mjs';
+import { createDataLoader, validateItem } from '../data/dataLoader.mjs';
+import { Checkpoint } from '../utils/checkpoint.mjs';
+import { LRUCache } from '../utils/LRUCache.mjs';
+import { metrics } from '../utils/metrics.mjs';
+import { normalizeWhere, normalizeWhereDocument, MANAGED_FIELDS } from './filters.mjs';
+import { resolveGrouping, groupResults } from './grouping.mjs';
+import { resolveMode, fuseRankings } from './fusion.mjs';
+import { resolveMMR, maximalMarginalRelevance } from './mmr.mjs';
+import { resolveRerankers, rerank } from './rerankers.mjs';
+import { resolveThreshold, applyThreshold } from './thresholds.mjs';
+import { resolveEvaluationSet, scoreRanking, averageScores } from './evaluation.mjs';
+import { KeywordIndex } from './KeywordIndex.mjs';
+import { createEmbeddingProvider } from './embeddings.mjs';
+import { createStorageBackend } from '../storage/backends.mjs';
+import { DISTANCE_SPACES, distance, centroid, similarity } from '../utils/vectorMath.mjs';
+import { solveAssignment } from './assignment.mjs';
+import { ValidationError, NotFoundError, ConflictError } from './errors.mjs';
+
+// Metadata keys managed by SemanticMatcher rather than supplied by callers
+const RESERVED_METADATA_KEYS = ['id', ...MANAGED_FIELDS];
+
+// syncSource value of documents written by the configured data loader; only
+// these are pruned, so documents added through the API or CLI survive a sync
+const LOADER_SOURCE = 'loader';
+
+// Page size used when scanning stored documents during sync
+const SYNC_PAGE_SIZE = 1000;
+
+// Minimum time between ingest progress log lines
+const PROGRESS_LOG_INTERVAL = 5000;
+
+// Strategies supported by match()
+export const MATCH_STRATEGIES = ['topk', 'assignment'];
+
+// How quality bands are chosen: fixed per metric, or calibrated from stored documents
+export const QUALITY_BAND_MODES = ['metric', 'calibrated'];
+
+// Neighbours per sampled document used for quality calibration
+const CALIBRATION_NEIGHBOURS = 5;
+
+// Percentiles of neighbour distances that bound the excellent, good and weak bands
+const CALIBRATION_PERCENTILES = [0.25, 0.5, 0.75];
+
+// Metrics shared by every matcher in the process, labelled by collection
+const searchDuration = metrics.histogram(
+  'semantic_matcher_search_duration_seconds',
+  'Search latency by stage: total, embedding (query embedding) or query (vector store)',
+  ['collection', 'stage']
+);
+const searchResults = metrics.counter(
+  'semantic_matcher_search_results_total',
+  'Search results returned, by match quality',
+  ['collection', 'quality']
+);
+const documentsLoaded = metrics.counter(
+  'semantic_matcher_documents_loaded_total',
+  'Documents added or updated by data loads and syncs',
+  ['collection']
+);
+const heartbeatFailures = metrics.counter(
+  'semantic_matcher_heartbeat_failures_total',
+  'Failed storage backend heartbeats, including connection retries',
+  ['storage']
+);
+const collectionDocuments = metrics.gauge(
+  'semantic_matcher_collection_documents',
+  'Documents stored in the collection',
+  ['collection']
+);
 
 export class SemanticMatcher {
   /**
@@ -16,298 +85,2057 @@ export class SemanticMatcher {
    * @param {object} options - Configuration options
    * @param {string} options.chromaUrl - ChromaDB server URL
    * @param {string} options.collectionName - Name for the collection
+   * @param {boolean} options.persistent - Reuse and sync an existing collection on startup
+   * @param {boolean} options.pruneStale - Remove loader documents the loader no longer returns
    * @param {object} options.dataLoader - Custom data loader configuration
+   * @param {object} options.ingest - Ingest overrides (batchSize, retries, retryDelay, checkpointFile)
+   * @param {boolean} options.keywordIndex - Maintain a local BM25 index for keyword and hybrid search
+   * @param {object} options.embedding - Embedding provider configuration ({ provider, options })
+   * @param {object} options.storage - Storage backend configuration ({ type, options })
+   * @param {Array<string|object>} options.rerank - Default re-ranking stages for this collection
+   * @param {string} options.distance - Distance metric for a new collection ('l2', 'cosine' or 'ip')
+   * @param {string} options.qualityBands - 'metric' (fixed bands) or 'calibrated' (from stored documents)
+   * @param {StorageBackend} options.backend - Existing backend to share instead of creating one from options.storage
+   * @param {string} options.description - Collection description (default from config)
+   * @param {object} options.cache - Cache overrides (enabled, resultSize, resultTTL, embeddingSize, embeddingTTL)
+   * @param {object} options.collectionSettings - Settings recorded in the collection metadata so the
+   *   collection can be reopened with them (used by CollectionRegistry)
    */
   constructor(options = {}) {
     this.chromaUrl = options.chromaUrl || config.chromadb.url;
     this.collectionName = options.collectionName || config.collection.name;
-    this.client = new ChromaClient({ path: this.chromaUrl });
+    // Every line this matcher logs names its collection
+    this.logger = logger.child({ collection: this.collectionName });
+    this.persistent = options.persistent ?? config.collection.persistent;
+    this.pruneStale = options.pruneStale ?? config.collection.pruneStale;
+    this.lastSync = null;
+    this.ingestOptions = { ...config.ingest, ...options.ingest };
+    this.checkpoint = new Checkpoint(this.ingestOptions.checkpointFile);
+    this.keywordIndex = (options.keywordIndex ?? config.search.keywordIndex) ? new KeywordIndex() : null;
+    this.rerank = options.rerank ?? config.search.rerank;
+    resolveRerankers(this.rerank);
+
+    // Configure distance metric and match quality bands
+    this.distanceSpace = (options.distance ?? config.collection.distance).toLowerCase();
+    if (!DISTANCE_SPACES.includes(this.distanceSpace)) {
+      throw new Error(`Unknown distance metric "${this.distanceSpace}". Available metrics: ${DISTANCE_SPACES.join(', ')}`);
+    }
+    this.qualityBands = options.qualityBands ?? config.quality.bands;
+    if (!QUALITY_BAND_MODES.includes(this.qualityBands)) {
+      throw new Error(`Unknown quality bands "${this.qualityBands}". Available modes: ${QUALITY_BAND_MODES.join(', ')}`);
+    }
+    this.qualityGuide = distanceGuides[this.distanceSpace];
+    this.qualityCalibration = null;
+
+    // Configure caches; a size of 0 disables one
+    const cacheConfig = { ...config.cache, ...options.cache };
+    this.resultCache = new LRUCache({ maxSize: cacheConfig.enabled ? cacheConfig.resultSize : 0, ttl: cacheConfig.resultTTL });
+    this.embeddingCache = new LRUCache({ maxSize: cacheConfig.enabled ? cacheConfig.embeddingSize : 0, ttl: cacheConfig.embeddingTTL });
+    this.cacheGeneration = 0;
+    this.fieldCache = null;
+
+    // Configure storage backend; a shared backend is left open by close()
+    const storageConfig = options.storage || config.storage;
+    this.backend = options.backend || createStorageBackend(storageConfig.type, { url: this.chromaUrl, ...storageConfig.options });
+    this.ownsBackend = !options.backend;
+    this.description = options.description || config.collection.description;
+    this.collectionSettings = options.collectionSettings || null;
+
+    // Configure embedding provider
+    const embeddingConfig = options.embedding || config.embedding;
+    this.embeddingProvider = createEmbeddingProvider(embeddingConfig.provider, embeddingConfig.options);
+    this.embeddingInfo = null;
     this.collection = null;
     this.initialized = false;
     
     // Configure data loader
-    const dataLoaderConfig = options.dataLoader || { type: 'sample' };
+    const dataLoaderConfig = options.dataLoader || config.dataLoader;
     this.dataLoader = createDataLoader(dataLoaderConfig.type, dataLoaderConfig.options);
     
-    logger.debug('SemanticMatcher instance created', {
+    this.logger.debug('SemanticMatcher instance created', {
       chromaUrl: this.chromaUrl,
       collectionName: this.collectionName,
-      dataLoaderType: dataLoaderConfig.type
+      persistent: this.persistent,
+      storage: this.backend.name,
+      distance: this.distanceSpace,
+      dataLoaderType: dataLoaderConfig.type,
+      embeddingProvider: this.embeddingProvider.name
     });
   }
 
   /**
-   * Establish connection to ChromaDB with retry logic
+   * Establish connection to the storage backend with retry logic
    * @returns {Promise<boolean>} True if connection successful
    * @throws {Error} If connection fails after all retries
    */
   async connect() {
-    logger.info('Connecting to ChromaDB', { url: this.chromaUrl });
+    this.logger.info(`Connecting to ${this.backend.describe()}`);
     
     let retries = config.chromadb.heartbeatRetries;
     let lastError;
 
     while (retries > 0) {
       try {
-        await this.client.heartbeat();
-        logger.info('Successfully connected to ChromaDB');
+        await this.backend.heartbeat();
+        this.logger.info(`Successfully connected to ${this.backend.describe()}`);
         return true;
       } catch (error) {
         lastError = error;
         retries--;
+        heartbeatFailures.inc({ storage: this.backend.name });
         
         if (retries > 0) {
-          logger.debug(`Connection failed, ${retries} retries remaining`, { error: error.message });
+          this.logger.debug(`Connection failed, ${retries} retries remaining`, { error: error.message });
           await new Promise(resolve => setTimeout(resolve, config.chromadb.heartbeatDelay));
         }
       }
     }
 
-    const errorMessage = `Failed to connect to ChromaDB after ${config.chromadb.heartbeatRetries} attempts`;
-    logger.error(errorMessage, { lastError: lastError.message });
+    const errorMessage = `Failed to connect to ${this.backend.describe()} after ${config.chromadb.heartbeatRetries} attempts`;
+    this.logger.error(errorMessage, { lastError: lastError.message });
     throw new Error(errorMessage);
   }
 
   /**
-   * Create or recreate the collection
+   * Collection metadata used when creating a collection
+   * Records the distance metric and the embedding provider, model and dimension that built it
+   * @returns {object} Collection metadata
+   */
+  collectionMetadata() {
+    return {
+      'hnsw:space': this.distanceSpace,
+      description: this.description,
+      created: new Date().toISOString(),
+      embeddingProvider: this.embeddingInfo.provider,
+      embeddingModel: this.embeddingInfo.model,
+      embeddingDimension: this.embeddingInfo.dimension,
+      // Metadata values must be scalars, so settings are stored as JSON
+      ...(this.collectionSettings ? { settings: JSON.stringify(this.collectionSettings) } : {})
+    };
+  }
+
+  /**
+   * Refuse to use a collection whose vectors came from a different embedding model
+   * or are indexed with a different distance metric
+   * Collections created before providers were recorded used Chroma's default model,
+   * and collections without a recorded metric use L2.
+   * @param {object} collection - ChromaDB collection instance
+   * @throws {Error} If the stored provider, model, dimension or metric differs from the configured one
+   */
+  assertCompatibleCollection(collection) {
+    const metadata = collection.metadata || {};
+    const storedSpace = metadata['hnsw:space'] ?? 'l2';
+    if (storedSpace !== this.distanceSpace) {
+      throw new Error(
+        `Collection "${this.collectionName}" uses ${storedSpace} distance but ${this.distanceSpace} is configured. ` +
+        'Reset the collection to rebuild its index, or restore the previous distance setting.'
+      );
+    }
+
+    const stored = {
+      provider: metadata.embeddingProvider ?? 'default',
+      model: metadata.embeddingModel ?? 'Xenova/all-MiniLM-L6-v2',
+      dimension: metadata.embeddingDimension ?? 384
+    };
+    const current = this.embeddingInfo;
+
+    if (stored.provider !== current.provider || stored.model !== current.model || stored.dimension !== current.dimension) {
+      throw new Error(
+        `Collection "${this.collectionName}" was built with ${stored.provider} embeddings ` +
+        `(${stored.model}, ${stored.dimension} dimensions) but ${current.provider} ` +
+        `(${current.model}, ${current.dimension} dimensions) is configured. ` +
+        'Reset the collection to re-embed it, or restore the previous embedding settings.'
+      );
+    }
+  }
+
+  /**
+   * Create or recreate the collection, discarding any existing documents
    * @returns {Promise<object>} ChromaDB collection instance
    */
   async createCollection() {
-    logger.info('Setting up collection', { name: this.collectionName });
+    this.logger.info('Setting up collection', { name: this.collectionName });
 
     // Remove existing collection if it exists
     try {
-      await this.client.deleteCollection({ name: this.collectionName });
-      logger.debug('Removed existing collection');
+      await this.backend.deleteCollection({ name: this.collectionName });
+      this.logger.debug('Removed existing collection');
     } catch (error) {
       // Collection might not exist, which is fine
-      logger.debug('No existing collection to remove');
+      this.logger.debug('No existing collection to remove');
     }
     
     // Create new collection
-    const collection = await this.client.createCollection({
+    const collection = await this.backend.createCollection({
       name: this.collectionName,
-      metadata: {
-        description: config.collection.description,
-        created: new Date().toISOString()
-      }
+      metadata: this.collectionMetadata(),
+      embeddingFunction: this.embeddingProvider
     });
 
-    logger.info('Collection created successfully');
+    this.keywordIndex?.clear();
+    this.invalidateCache();
+
+    this.logger.info('Collection created successfully');
     return collection;
   }
 
   /**
-   * Load data into the collection using configured data loader
-   * @returns {Promise<number>} Number of documents loaded
+   * Open the existing collection, creating it only if it does not exist
+   * An empty collection takes on the configured embedding model and distance
+   * metric; a populated one must have been built with them.
+   * @returns {Promise<object>} ChromaDB collection instance
+   * @throws {Error} If the collection was built with a different embedding model or metric
    */
-  async loadData() {
-    logger.info('Loading data into collection');
+  async openCollection() {
+    this.logger.info('Opening collection', { name: this.collectionName });
 
-    try {
-      const data = await this.dataLoader.load();
-      
-      if (data.length === 0) {
-        logger.warn('No data to load');
-        return 0;
-      }
+    // Metadata is not passed here, since it would overwrite what an existing collection recorded
+    const collection = await this.backend.getOrCreateCollection({
+      name: this.collectionName,
+      embeddingFunction: this.embeddingProvider
+    });
 
-      // Prepare data for ChromaDB - ensure all fields are properly formatted
-      const documents = data.map(item => String(item.text));
-      const ids = data.map(item => String(item.id));
-      const metadatas = data.map(item => {
-        // Ensure metadata is a plain object with string values
-        const cleanMetadata = {
-          id: String(item.id),
-          originalText: String(item.text)
-        };
-        
-        // Add custom metadata, ensuring all values are strings or numbers
-        if (item.metadata) {
-          Object.entries(item.metadata).forEach(([key, value]) => {
-            if (typeof value === 'string' || typeof value === 'number') {
-              cleanMetadata[key] = value;
-            } else if (Array.isArray(value)) {
-              cleanMetadata[key] = value.join(', ');
-            } else {
-              cleanMetadata[key] = String(value);
-            }
-          });
+    const count = await collection.count();
+    if (count > 0) {
+      this.assertCompatibleCollection(collection);
+    } else if ((collection.metadata?.['hnsw:space'] ?? 'l2') !== this.distanceSpace) {
+      // The metric is fixed when the index is created, so an empty collection is rebuilt
+      return this.createCollection();
+    }
+    if (count === 0 || !collection.metadata?.embeddingProvider) {
+      // Empty collections adopt the configured model; older populated ones get theirs recorded.
+      // The metric was checked above and is left out, since Chroma refuses to change it.
+      const { 'hnsw:space': space, ...metadata } = count > 0
+        ? { ...this.collectionMetadata(), ...collection.metadata }
+        : this.collectionMetadata();
+      await collection.modify({ metadata });
+    }
+
+    this.logger.info('Collection ready', { count });
+    return collection;
+  }
+
+  /**
+   * Clean item metadata for ChromaDB storage
+   * Ensures metadata is a plain object with string or number values
+   * @param {object} item - Data item with id, text, and optional metadata
+   * @param {string} source - syncSource marker, set for documents written by the data loader
+   * @returns {object} Metadata ready for ChromaDB
+   */
+  cleanMetadata(item, source = null) {
+    const cleanMetadata = {
+      id: String(item.id),
+      originalText: String(item.text)
+    };
+    
+    // Add custom metadata, ensuring all values are strings or numbers
+    if (item.metadata) {
+      Object.entries(item.metadata).forEach(([key, value]) => {
+        if (RESERVED_METADATA_KEYS.includes(key) || value === null || value === undefined) {
+          return;
+        }
+        if (typeof value === 'string' || typeof value === 'number') {
+          cleanMetadata[key] = value;
+        } else if (Array.isArray(value)) {
+          cleanMetadata[key] = value.join(', ');
+        } else {
+          cleanMetadata[key] = String(value);
         }
-        
-        return cleanMetadata;
-      });
-      
-      // Add to collection
-      await this.collection.add({
-        documents: documents,
-        metadatas: metadatas,
-        ids: ids
       });
+    }
 
-      logger.info(`Successfully loaded ${data.length} documents into collection`);
-      return data.length;
-    } catch (error) {
-      logger.error('Failed to load data into collection', { error: error.message });
-      throw error;
+    if (source) {
+      cleanMetadata.syncSource = source;
     }
+
+    cleanMetadata.contentHash = this.contentHash(cleanMetadata);
+    
+    return cleanMetadata;
   }
 
   /**
-   * Initialize the SemanticMatcher
-   * Sets up ChromaDB connection, creates collection, and loads data
+   * Compute a stable hash of a document's text and metadata
+   * Used by sync to detect changed documents without re-embedding everything
+   * @param {object} metadata - Cleaned metadata including originalText
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  contentHash(metadata) {
+    const entries = Object.entries(metadata)
+      .filter(([key]) => key !== 'contentHash')
+      .sort(([a], [b]) => a.localeCompare(b));
+    return createHash('sha256').update(JSON.stringify(entries)).digest('hex');
+  }
+
+  /**
+   * Prepare data items for ChromaDB - ensure all fields are properly formatted
+   * @param {Array<object>} items - Data items with id, text, and metadata
+   * @param {string} source - syncSource marker, see cleanMetadata()
+   * @returns {object} Parallel ids, documents and metadatas arrays
+   */
+  prepareRecords(items, source = null) {
+    return {
+      ids: items.map(item => String(item.id)),
+      documents: items.map(item => String(item.text)),
+      metadatas: items.map(item => this.cleanMetadata(item, source))
+    };
+  }
+
+  /**
+   * Strip SemanticMatcher-managed keys from stored metadata
+   * @param {object} metadata - Metadata as stored in ChromaDB
+   * @returns {object} Caller-supplied metadata only
+   */
+  userMetadata(metadata = {}) {
+    return Object.fromEntries(
+      Object.entries(metadata || {}).filter(([key]) => !RESERVED_METADATA_KEYS.includes(key))
+    );
+  }
+
+  /**
+   * Overwrite existing records, re-embedding only those whose text changed
+   * ChromaDB merges metadata on update, so keys that are no longer present
+   * are explicitly set to null to remove them.
+   * @param {Array<object>} items - Data items with id, text, and metadata
+   * @param {Map<string, object>} currentMetadata - Stored metadata by id
+   * @param {string} source - syncSource marker, see cleanMetadata(); defaults to the stored
+   *   one, so edits through the API leave a loader document owned by the loader
    * @returns {Promise<void>}
    */
-  async initialize() {
-    if (this.initialized) {
-      logger.debug('SemanticMatcher already initialized');
-      return;
+  async updateRecords(items, currentMetadata, source = null) {
+    const textChanged = { ids: [], documents: [], metadatas: [] };
+    const metadataOnly = { ids: [], metadatas: [] };
+
+    for (const item of items) {
+      const id = String(item.id);
+      const current = currentMetadata.get(id) || {};
+      const metadata = this.cleanMetadata(item, source ?? current.syncSource);
+
+      for (const key of Object.keys(current)) {
+        if (!(key in metadata)) {
+          metadata[key] = null;
+        }
+      }
+
+      if (current.originalText === metadata.originalText) {
+        metadataOnly.ids.push(id);
+        metadataOnly.metadatas.push(metadata);
+      } else {
+        textChanged.ids.push(id);
+        textChanged.documents.push(String(item.text));
+        textChanged.metadatas.push(metadata);
+      }
+    }
+
+    try {
+      if (textChanged.ids.length > 0) {
+        await this.collection.update(textChanged);
+      }
+      if (metadataOnly.ids.length > 0) {
+        await this.collection.update(metadataOnly);
+      }
+    } finally {
+      this.invalidateCache();
     }
 
-    logger.info('Initializing SemanticMatcher');
+    this.indexRecords(this.prepareRecords(items, source));
+  }
 
+  /**
+   * Add new records to the collection and the keyword index
+   * @param {Array<object>} items - Data items with id, text, and metadata
+   * @param {string} source - syncSource marker, see cleanMetadata()
+   * @returns {Promise<void>}
+   */
+  async addRecords(items, source = null) {
+    const records = this.prepareRecords(items, source);
     try {
-      // Connect to ChromaDB
-      await this.connect();
-      
-      // Create collection
-      this.collection = await this.createCollection();
-      
-      // Load data
-      const documentCount = await this.loadData();
-      
-      this.initialized = true;
-      
-      logger.info('SemanticMatcher initialization complete', {
-        collectionName: this.collectionName,
-        documentCount
+      await this.collection.add(records);
+    } finally {
+      this.invalidateCache();
+    }
+    this.indexRecords(records);
+  }
+
+  /**
+   * Delete records from the collection and the keyword index
+   * @param {Array<string>} ids - Document ids
+   * @returns {Promise<void>}
+   */
+  async removeRecords(ids) {
+    try {
+      await this.collection.delete({ ids });
+    } finally {
+      this.invalidateCache();
+    }
+    ids.forEach(id => this.keywordIndex?.remove(id));
+  }
+
+  /**
+   * Drop cached search results after the collection changes
+   * Searches already in flight when this is called do not cache their results.
+   */
+  invalidateCache() {
+    this.resultCache.clear();
+    this.cacheGeneration++;
+  }
+
+  /**
+   * Embed query texts, reusing cached embeddings
+   * @param {Array<string>} texts - Query texts
+   * @returns {Promise<Array<Array<number>>>} One embedding per text
+   */
+  async embedQueries(texts) {
+    const cached = texts.map(text => this.embeddingCache.get(text));
+    const missing = [...new Set(texts.filter((text, index) => !cached[index]))];
+    if (missing.length === 0) {
+      return cached;
+    }
+
+    const endTimer = searchDuration.startTimer({ collection: this.collectionName, stage: 'embedding' });
+    let generated;
+    try {
+      generated = await this.embeddingProvider.generate(missing);
+    } finally {
+      endTimer();
+    }
+    const embeddings = new Map(missing.map((text, index) => [text, generated[index]]));
+    embeddings.forEach((embedding, text) => this.embeddingCache.set(text, embedding));
+    return texts.map((text, index) => cached[index] ?? embeddings.get(text));
+  }
+
+  /**
+   * Query the vector store, timing the call
+   * @param {object} params - Collection query parameters
+   * @returns {Promise<object>} Query response
+   */
+  async queryCollection(params) {
+    const endTimer = searchDuration.startTimer({ collection: this.collectionName, stage: 'query' });
+    try {
+      return await this.collection.query(params);
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * Keep the keyword index in step with records written to the collection
+   * @param {object} records - Parallel ids, documents and metadatas arrays
+   */
+  indexRecords({ ids, documents, metadatas }) {
+    if (!this.keywordIndex) return;
+    ids.forEach((id, index) => this.keywordIndex.add(id, documents[index], metadatas[index]));
+  }
+
+  /**
+   * Rebuild the keyword index from every document stored in the collection
+   * @returns {Promise<number>} Number of indexed documents
+   */
+  async rebuildKeywordIndex() {
+    if (!this.keywordIndex) return 0;
+
+    this.keywordIndex.clear();
+    let offset = 0;
+
+    while (true) {
+      const page = await this.collection.get({
+        include: ['documents', 'metadatas'],
+        limit: SYNC_PAGE_SIZE,
+        offset
       });
-    } catch (error) {
-      logger.error('SemanticMatcher initialization failed', { error: error.message });
-      throw error;
+      this.indexRecords(page);
+
+      if (page.ids.length < SYNC_PAGE_SIZE) break;
+      offset += SYNC_PAGE_SIZE;
     }
+
+    this.logger.debug('Keyword index rebuilt', { documents: this.keywordIndex.size });
+    return this.keywordIndex.size;
   }
 
   /**
-   * Perform semantic search query
-   * @param {string} query - Search query text
-   * @param {number} topK - Number of results to return (default from config)
-   * @returns {Promise<object>} Search results with metadata
-   * @throws {Error} If not initialized or query fails
+   * Validate a batch of documents before writing them
+   * @param {Array<object>} items - Data items with id, text, and metadata
+   * @throws {ValidationError} If any item is invalid or ids are duplicated
+   */
+  validateDocuments(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('Documents must be a non-empty array');
+    }
+
+    const errors = items
+      .map((item, index) => validateItem(item, index))
+      .filter(Boolean);
+
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const item of items) {
+      if (seen.has(item?.id)) duplicates.add(item.id);
+      seen.add(item?.id);
+    }
+    if (duplicates.size > 0) {
+      errors.push(`Duplicate ids in request: ${[...duplicates].join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid documents: ${errors.join('; ')}`);
+    }
+  }
+
+  /**
+   * Ensure the matcher is ready for collection operations
+   * @throws {Error} If not initialized
    */
-  async search(query, topK = config.search.defaultTopK) {
+  assertInitialized() {
     if (!this.initialized) {
       throw new Error('SemanticMatcher not initialized. Call initialize() first.');
     }
+  }
 
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-      throw new Error('Query must be a non-empty string');
+  /**
+   * Retry an async operation with exponential backoff
+   * @param {Function} operation - Async operation to run
+   * @param {string} label - Description used in log messages
+   * @returns {Promise<*>} Result of the operation
+   * @throws {Error} The last error if every attempt fails
+   */
+  async withRetry(operation, label) {
+    const attempts = this.ingestOptions.retries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (attempt >= attempts) {
+          this.logger.error(`${label} failed after ${attempts} attempts`, { error: error.message });
+          throw error;
+        }
+
+        const delay = this.ingestOptions.retryDelay * 2 ** (attempt - 1);
+        this.logger.warn(`${label} failed, retrying in ${delay}ms (attempt ${attempt}/${attempts})`, { error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
+  }
 
-    // Validate topK parameter
-    const validTopK = Math.max(1, Math.min(topK, config.search.maxTopK));
-    if (validTopK !== topK) {
-      logger.warn(`topK adjusted from ${topK} to ${validTopK}`);
+  /**
+   * Write one batch of loader items, adding new documents and re-embedding changed ones
+   * @param {Array<object>} items - Data items with id, text, and metadata
+   * @param {string} source - syncSource marker, see cleanMetadata()
+   * @returns {Promise<object>} Added, updated and unchanged counts for the batch
+   */
+  async writeBatch(items, source = null) {
+    // Later duplicates of an id within the batch win
+    const byId = new Map(items.map(item => [String(item.id), item]));
+    const ids = [...byId.keys()];
+
+    const existing = await this.collection.get({ ids, include: ['metadatas'] });
+    const stored = new Map(existing.ids.map((id, index) => [id, existing.metadatas[index] || {}]));
+
+    const toAdd = [];
+    const toUpdate = [];
+    for (const [id, item] of byId) {
+      const current = stored.get(id);
+      if (!current) {
+        toAdd.push(item);
+      } else if (current.contentHash !== this.cleanMetadata(item, source).contentHash) {
+        toUpdate.push(item);
+      }
     }
 
-    logger.debug('Performing semantic search', { query, topK: validTopK });
+    if (toAdd.length > 0) {
+      await this.addRecords(toAdd, source);
+    }
+    if (toUpdate.length > 0) {
+      await this.updateRecords(toUpdate, stored, source);
+    }
 
-    try {
-      const results = await this.collection.query({
-        queryTexts: [query.trim()],
-        nResults: validTopK
-      });
-      
-      // Format results with quality assessment
-      const formattedResults = results.ids[0].map((id, index) => {
-        const distance = results.distances[0][index];
-        const quality = getMatchQuality(distance);
-        
-        return {
-          id,
-          text: results.documents[0][index],
-          metadata: results.metadatas[0][index],
-          distance: parseFloat(distance.toFixed(4)),
-          quality: quality.quality,
-          qualityLabel: quality.label
-        };
-      });
-      
-      const searchResult = {
-        query: query.trim(),
-        results: formattedResults,
-        resultCount: formattedResults.length,
-        searchMetadata: {
-          requestedTopK: topK,
-          actualTopK: validTopK,
-          timestamp: new Date().toISOString()
-        }
-      };
+    return {
+      added: toAdd.length,
+      updated: toUpdate.length,
+      unchanged: ids.length - toAdd.length - toUpdate.length
+    };
+  }
 
-      logger.debug('Search completed', { 
-        query, 
-        resultCount: formattedResults.length,
-        bestDistance: formattedResults[0]?.distance
+  /**
+   * Remove documents written by the data loader that were not seen during ingest
+   * Documents without the loader's syncSource marker are left alone.
+   * @param {Set<string>} seen - Ids produced by the data loader
+   * @returns {Promise<number>} Number of documents removed
+   */
+  async pruneStaleDocuments(seen) {
+    const stale = [];
+    let offset = 0;
+
+    // Collect first; deleting while paging would shift offsets
+    while (true) {
+      const page = await this.collection.get({
+        where: { syncSource: LOADER_SOURCE },
+        include: [],
+        limit: SYNC_PAGE_SIZE,
+        offset
       });
+      stale.push(...page.ids.filter(id => !seen.has(id)));
 
-      return searchResult;
-    } catch (error) {
-      logger.error('Search query failed', { query, error: error.message });
-      throw new Error(`Search failed: ${error.message}`);
+      if (page.ids.length < SYNC_PAGE_SIZE) break;
+      offset += SYNC_PAGE_SIZE;
+    }
+
+    for (let i = 0; i < stale.length; i += this.ingestOptions.batchSize) {
+      const ids = stale.slice(i, i + this.ingestOptions.batchSize);
+      await this.withRetry(() => this.removeRecords(ids), 'Stale document removal');
     }
+
+    return stale.length;
   }
 
   /**
-   * Get collection statistics and health information
-   * @returns {Promise<object>} Collection stats and system info
+   * Key identifying this collection and data source in the checkpoint file
+   * @param {DataLoader} loader - Data loader being ingested
+   * @returns {Promise<string|null>} Checkpoint key, or null if the loader cannot resume
    */
-  async getStats() {
-    if (!this.initialized) {
-      throw new Error('SemanticMatcher not initialized');
+  async checkpointKey(loader) {
+    if (!this.checkpoint.enabled) return null;
+    const sourceId = await loader.sourceId();
+    return sourceId ? `${this.collectionName}::${sourceId}` : null;
+  }
+
+  /**
+   * Stream loader output into the collection in batches
+   *
+   * New documents are added, changed ones (by content hash) re-embedded and
+   * unchanged ones skipped. Failed batches are retried, and progress is
+   * checkpointed after each batch so an interrupted ingest resumes after the
+   * last completed batch instead of starting over.
+   *
+   * Documents from the configured data loader are marked with a syncSource so
+   * pruning removes only those; documents from any other loader are kept like
+   * documents added through the API.
+   *
+   * @param {object} options - Ingest options
+   * @param {boolean} options.prune - Remove loader documents the loader no longer returns
+   * @param {DataLoader} options.loader - Source to ingest (default: the configured data loader),
+   *   e.g. a file loaded with the CLI `load` command; other loaders never prune
+   * @returns {Promise<object>} Report with added/updated/removed/unchanged counts
+   */
+  async ingest({ prune = false, loader = this.dataLoader } = {}) {
+    const startTime = Date.now();
+    const { batchSize } = this.ingestOptions;
+    const source = loader === this.dataLoader ? LOADER_SOURCE : null;
+
+    const checkpointKey = await this.checkpointKey(loader);
+    const saved = checkpointKey ? await this.checkpoint.read(checkpointKey) : null;
+    const resumedFrom = saved?.processed || 0;
+    const stats = { added: 0, updated: 0, unchanged: 0, ...saved?.stats };
+
+    if (resumedFrom > 0) {
+      this.logger.info(`Resuming ingest after ${resumedFrom} documents`, { checkpoint: checkpointKey });
     }
-    
+
+    const seen = new Set();
+    let processed = 0;
+    let batch = [];
+    let lastProgressLog = Date.now();
+
+    const flush = async () => {
+      const result = await this.withRetry(
+        () => this.writeBatch(batch, source),
+        `Batch ending at document ${processed}`
+      );
+      stats.added += result.added;
+      stats.updated += result.updated;
+      stats.unchanged += result.unchanged;
+      documentsLoaded.inc({ collection: this.collectionName }, result.added + result.updated);
+      batch = [];
+
+      if (checkpointKey) {
+        await this.checkpoint.write(checkpointKey, { processed, stats });
+      }
+
+      this.logger.debug('Batch written', { processed, ...result });
+      if (Date.now() - lastProgressLog >= PROGRESS_LOG_INTERVAL) {
+        const rate = Math.round((processed - resumedFrom) / ((Date.now() - startTime) / 1000));
+        this.logger.info(`Ingested ${processed} documents`, { ...stats, docsPerSecond: rate });
+        lastProgressLog = Date.now();
+      }
+    };
+
     try {
-      const count = await this.collection.count();
-      
-      return {
-        collectionName: this.collectionName,
-        documentCount: count,
-        initialized: this.initialized,
-        chromaUrl: this.chromaUrl,
-        config: {
-          defaultTopK: config.search.defaultTopK,
-          maxTopK: config.search.maxTopK
-        },
+      for await (const item of loader.stream()) {
+        processed++;
+        seen.add(String(item.id));
+
+        // Already written before the interruption; only record the id for pruning
+        if (processed <= resumedFrom) continue;
+
+        batch.push(item);
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+      }
+
+      if (batch.length > 0) {
+        await flush();
+      }
+
+      const removed = prune && source ? await this.pruneStaleDocuments(seen) : 0;
+
+      if (checkpointKey) {
+        await this.checkpoint.clear(checkpointKey);
+      }
+
+      const report = {
+        ...stats,
+        removed,
+        processed,
+        resumedFrom,
+        total: await this.collection.count(),
+        durationMs: Date.now() - startTime,
         timestamp: new Date().toISOString()
       };
+
+      this.logger.info('Ingest complete', report);
+      return report;
     } catch (error) {
-      logger.error('Failed to get stats', { error: error.message });
+      this.logger.error('Ingest failed', {
+        error: error.message,
+        processed,
+        resumable: Boolean(checkpointKey && this.checkpoint.enabled)
+      });
       throw error;
     }
   }
 
   /**
-   * Reset the collection (useful for development)
-   * @returns {Promise<void>}
+   * Load data into the collection using configured data loader
+   * @returns {Promise<number>} Number of documents added or updated
    */
-  async reset() {
-    logger.info('Resetting SemanticMatcher');
-    this.initialized = false;
-    await this.initialize();
-    logger.info('SemanticMatcher reset complete');
+  async loadData() {
+    this.logger.info('Loading data into collection');
+    const report = await this.ingest({ prune: false });
+
+    if (report.processed === 0) {
+      this.logger.warn('No data to load');
+    }
+
+    return report.added + report.updated;
   }
 
   /**
-   * Health check - verify ChromaDB connectivity
-   * @returns {Promise<boolean>} True if healthy
+   * Incrementally sync loader output into an existing collection
+   * Adds new documents, re-embeds changed ones and removes stale ones,
+   * leaving unchanged documents untouched
+   * @returns {Promise<object>} Sync report with added/updated/removed/unchanged counts
    */
-  async healthCheck() {
+  async syncData() {
+    this.logger.info('Syncing data with existing collection');
+    return this.ingest({ prune: this.pruneStale });
+  }
+
+  /**
+   * Initialize the SemanticMatcher
+   * Sets up the storage backend connection, opens or creates the collection, and loads data.
+   * In persistent mode an existing collection is reused and synced incrementally;
+   * otherwise (or with reset) the collection is recreated from scratch.
+   * Without sync the existing collection is opened as stored and data is
+   * loaded only if it is empty, e.g. for one-shot CLI commands.
+   * @param {object} options - Initialization options
+   * @param {boolean} options.reset - Discard the existing collection and reload everything
+   * @param {boolean} options.sync - Sync the collection with the data loader (default true)
+   * @returns {Promise<void>}
+   */
+  async initialize({ reset = false, sync = true } = {}) {
+    if (this.initialized) {
+      this.logger.debug('SemanticMatcher already initialized');
+      return;
+    }
+
+    this.logger.info('Initializing SemanticMatcher', { persistent: this.persistent, reset, sync });
+
     try {
-      await this.client.heartbeat();
-      return true;
-    } catch (error) {
-      logger.error('Health check failed', { error: error.message });
-      return false;
+      // Connect to the storage backend
+      await this.connect();
+
+      // Resolve the embedding dimension before touching the collection
+      this.embeddingInfo = await this.embeddingProvider.describe();
+      this.logger.info('Embedding provider ready', this.embeddingInfo);
+      
+      // An interrupted ingest is resumed rather than recreated; reset discards it
+      const checkpointKey = await this.checkpointKey(this.dataLoader);
+      if (reset && checkpointKey) {
+        await this.checkpoint.clear(checkpointKey);
+      }
+      const resuming = !reset && checkpointKey && await this.checkpoint.read(checkpointKey);
+
+      if (!sync && !reset) {
+        // Use the collection as stored; only a new or interrupted one is loaded
+        this.collection = await this.openCollection();
+        if (resuming || await this.collection.count() === 0) {
+          this.lastSync = await this.ingest({ prune: false });
+        }
+      } else if (this.persistent && !reset) {
+        // Reuse existing collection and apply only what changed
+        this.collection = await this.openCollection();
+        this.lastSync = await this.syncData();
+      } else if (resuming) {
+        // Continue the interrupted load into the partially filled collection
+        this.collection = await this.openCollection();
+        this.lastSync = await this.ingest({ prune: false });
+      } else {
+        // Recreate collection and load everything
+        this.collection = await this.createCollection();
+        this.lastSync = await this.ingest({ prune: false });
+      }
+      
+      // Unchanged documents are not re-read during sync, so index from the collection
+      await this.rebuildKeywordIndex();
+
+      if (this.qualityBands === 'calibrated') {
+        await this.calibrateQuality();
+      }
+
+      this.initialized = true;
+
+      // Report the collection size on every metrics render; reset() initializes again
+      this.removeMetricsCollector ??= metrics.addCollector(async () => {
+        if (this.initialized) {
+          collectionDocuments.set({ collection: this.collectionName }, await this.collection.count());
+        }
+      });
+      
+      this.logger.info('SemanticMatcher initialization complete', {
+        collectionName: this.collectionName,
+        documentCount: await this.collection.count()
+      });
+    } catch (error) {
+      this.logger.error('SemanticMatcher initialization failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Derive quality bands from the distances between stored documents
+   * Each sampled document is compared with its nearest neighbours; matches
+   * closer than the 25th, 50th and 75th percentile of those distances are
+   * excellent, good and weak. Too small a collection keeps the metric's bands.
+   * @param {object} options - Calibration options
+   * @param {number} options.sampleSize - Documents to sample (default from config)
+   * @returns {Promise<object>} The distance guide now in use
+   */
+  async calibrateQuality({ sampleSize = config.quality.calibrationSampleSize } = {}) {
+    const sample = await this.collection.get({ limit: sampleSize, include: ['embeddings'] });
+    if (sample.ids.length < 2) {
+      this.logger.warn('Too few documents to calibrate quality bands, using metric defaults', { documents: sample.ids.length });
+      this.qualityGuide = distanceGuides[this.distanceSpace];
+      this.qualityCalibration = null;
+      return this.qualityGuide;
+    }
+
+    const results = await this.queryCollection({
+      queryEmbeddings: sample.embeddings,
+      nResults: Math.min(CALIBRATION_NEIGHBOURS + 1, sample.ids.length),
+      include: ['distances']
+    });
+
+    // Skip each document's match with itself
+    const distances = results.ids
+      .flatMap((ids, queryIndex) => ids
+        .map((id, index) => id === sample.ids[queryIndex] ? null : results.distances[queryIndex][index]))
+      .filter(value => value !== null)
+      .sort((a, b) => a - b);
+
+    const bounds = CALIBRATION_PERCENTILES.map(percentile =>
+      parseFloat(distances[Math.min(distances.length - 1, Math.floor(percentile * distances.length))].toFixed(4)));
+    this.qualityGuide = buildDistanceGuide(bounds);
+    this.qualityCalibration = { sampleSize: sample.ids.length, pairs: distances.length, calibrated: new Date().toISOString() };
+    // Cached results carry quality labels from the old bands
+    this.invalidateCache();
+
+    this.logger.info('Quality bands calibrated', { bounds, ...this.qualityCalibration });
+    return this.qualityGuide;
+  }
+
+  /**
+   * Attach match quality and normalized similarity to a result based on its distance
+   * @param {object} result - Result with a distance
+   * @returns {object} Result with similarity (0-1), quality and qualityLabel
+   */
+  withQuality(result) {
+    if (result.distance === null || result.distance === undefined) {
+      return { ...result, similarity: null, quality: null, qualityLabel: null };
+    }
+
+    const quality = getMatchQuality(result.distance, this.qualityGuide);
+    return {
+      ...result,
+      similarity: similarity(result.distance, this.distanceSpace),
+      quality: quality.quality,
+      qualityLabel: quality.label
+    };
+  }
+
+  /**
+   * Format raw ChromaDB query results with quality assessment
+   * Metadata is reduced to caller-supplied keys; embeddings are attached
+   * when the query included them
+   * @param {object} results - ChromaDB query response
+   * @param {number} queryIndex - Which query's results to format
+   * @returns {Array<object>} Hits sorted by ascending distance
+   */
+  formatHits(results, queryIndex) {
+    return results.ids[queryIndex].map((id, index) => this.withQuality({
+      id,
+      text: results.documents[queryIndex][index],
+      metadata: this.userMetadata(results.metadatas[queryIndex][index]),
+      distance: parseFloat(results.distances[queryIndex][index].toFixed(4)),
+      ...(results.embeddings?.[queryIndex] ? { embedding: results.embeddings[queryIndex][index] } : {})
+    }));
+  }
+
+  /**
+   * Re-rank candidates with Maximal Marginal Relevance
+   * Candidates without an embedding (e.g. keyword hits) have theirs fetched first.
+   * @param {Array<object>} candidates - Hits in retrieval order
+   * @param {Array<number>} queryEmbedding - Embedded query
+   * @param {number} limit - Number of results to pick
+   * @param {object} mmr - Options from resolveMMR
+   * @returns {Promise<Array<object>>} Diverse hits with an `mmr` breakdown, without embeddings
+   */
+  async diversify(candidates, queryEmbedding, limit, { lambda }) {
+    const missing = candidates.filter(candidate => !candidate.embedding).map(candidate => candidate.id);
+    if (missing.length > 0) {
+      const stored = await this.collection.get({ ids: missing, include: ['embeddings'] });
+      const embeddings = new Map(stored.ids.map((id, index) => [id, stored.embeddings[index]]));
+      candidates = candidates.map(candidate => candidate.embedding ? candidate : { ...candidate, embedding: embeddings.get(candidate.id) });
+    }
+
+    return maximalMarginalRelevance(candidates.filter(candidate => candidate.embedding), queryEmbedding, limit, lambda)
+      .map(({ embedding, ...hit }) => hit);
+  }
+
+  /**
+   * Collect keyword and/or vector candidates and fuse them into one ranking
+   * Keyword-only hits get their vector distance from a follow-up query limited
+   * to their ids, so every result reports both component scores.
+   * @param {string} query - Search query text
+   * @param {Array<number>} queryEmbedding - Embedded query
+   * @param {number} nResults - Candidates to take from each ranking
+   * @param {object} filters - Normalized where and whereDocument filters
+   * @param {object} modeOptions - Options from resolveMode
+   * @returns {Promise<Array<object>>} Fused hits with a `scores` breakdown, best first
+   */
+  async hybridHits(query, queryEmbedding, nResults, { where, whereDocument }, modeOptions) {
+    const candidates = new Map();
+
+    if (modeOptions.mode === 'hybrid') {
+      const results = await this.queryCollection({ queryEmbeddings: [queryEmbedding], nResults, where, whereDocument });
+      for (const hit of this.formatHits(results, 0)) {
+        candidates.set(hit.id, { ...hit, keywordScore: null });
+      }
+    }
+
+    for (const hit of this.keywordIndex.search(query, { limit: nResults, where, whereDocument })) {
+      const existing = candidates.get(hit.id);
+      if (existing) {
+        existing.keywordScore = hit.score;
+      } else {
+        candidates.set(hit.id, { id: hit.id, text: hit.text, metadata: this.userMetadata(hit.metadata), distance: null, keywordScore: hit.score });
+      }
+    }
+
+    const missing = [...candidates.values()].filter(candidate => candidate.distance === null).map(candidate => candidate.id);
+    if (missing.length > 0) {
+      const idFilter = { id: { $in: missing } };
+      const results = await this.queryCollection({
+        queryEmbeddings: [queryEmbedding],
+        nResults: missing.length,
+        where: where ? { $and: [where, idFilter] } : idFilter,
+        whereDocument
+      });
+      for (const hit of this.formatHits(results, 0)) {
+        if (candidates.has(hit.id)) {
+          candidates.get(hit.id).distance = hit.distance;
+        }
+      }
+    }
+
+    // Keyword mode ranks by keyword score alone but still reports vector distance
+    const fusion = modeOptions.mode === 'keyword' ? { ...modeOptions, alpha: 0 } : modeOptions;
+
+    return fuseRankings([...candidates.values()], fusion)
+      .map(({ keywordScore, ...candidate }) => this.withQuality(candidate));
+  }
+
+  /**
+   * Perform semantic search query
+   * @param {string} query - Search query text
+   * @param {number} topK - Number of results to return (default from config)
+   * @param {object} options - Additional search options
+   * @param {object} options.where - Metadata filter (equality, $in/$nin, ranges, $and/$or)
+   * @param {string|object} options.whereDocument - Full-text document filter ($contains/$not_contains)
+   * @param {string} options.groupBy - Group chunk hits by this parent id metadata field (e.g. 'parentId')
+   * @param {string} options.groupScore - Parent score: 'max' (best chunk, default) or 'mean' (mean of top-n chunks)
+   * @param {number} options.groupTopN - Chunks averaged for 'mean' scoring (default 3)
+   * @param {number} options.snippetsPerGroup - Matching chunks returned under each parent (default 3)
+   * @param {string} options.mode - 'vector' (default), 'keyword' (BM25) or 'hybrid' (both, fused)
+   * @param {string} options.fusion - Hybrid fusion: 'rrf' (reciprocal rank fusion, default) or 'weighted'
+   * @param {number} options.alpha - Vector weight in hybrid fusion, 0-1 (default 0.5)
+   * @param {boolean} options.mmr - Diversify results with Maximal Marginal Relevance
+   * @param {number} options.mmrLambda - MMR relevance weight, 0 (diverse) to 1 (relevant), default 0.5
+   * @param {Array<string|object>|false} options.rerank - Re-ranking stages, replacing the collection's
+   *   default pipeline; false or [] disables re-ranking
+   * @param {string} options.minQuality - Drop results worse than this quality level
+   * @param {number} options.maxDistance - Drop results farther than this distance
+   * @returns {Promise<object>} Search results with metadata; with a threshold, `threshold`
+   *   reports whether anything met it and the best rejected candidate
+   * @throws {Error} If not initialized, filters are invalid or query fails
+   */
+  async search(query, topK = config.search.defaultTopK, options = {}) {
+    this.assertInitialized();
+    const plan = this.planSearch(query, topK, options);
+
+    // Ties together the lines logged for this search
+    const log = this.logger.child({ queryId: randomUUID() });
+
+    const cacheKey = this.searchCacheKey(plan);
+    const cached = this.resultCache.get(cacheKey);
+    if (cached) {
+      log.debug('Search served from cache', { query: plan.query });
+      return this.fromCache(cached);
+    }
+    const generation = this.cacheGeneration;
+
+    log.debug('Performing semantic search', {
+      query: plan.query, topK: plan.topK, nResults: plan.nResults, where: plan.where,
+      whereDocument: plan.whereDocument, grouping: plan.grouping, mode: plan.modeOptions.mode
+    });
+
+    const endTimer = searchDuration.startTimer({ collection: this.collectionName, stage: 'total' });
+    try {
+      // Embed once; hybrid search queries the collection more than once
+      const [queryEmbedding] = await this.embedQueries([plan.query]);
+      const searchResult = this.searchResult(plan, await this.runSearch(plan, queryEmbedding));
+
+      // Skip caching if the collection changed while the search ran
+      if (generation === this.cacheGeneration) {
+        this.resultCache.set(cacheKey, structuredClone(searchResult));
+      }
+
+      log.debug('Search completed', { 
+        query, 
+        resultCount: searchResult.resultCount,
+        bestDistance: searchResult.results[0]?.distance
+      });
+
+      return searchResult;
+    } catch (error) {
+      log.error('Search query failed', { query, error: error.message });
+      throw new Error(`Search failed: ${error.message}`);
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * Cache key for a planned search
+   * Covers the collection, whitespace-normalized query, topK and every option
+   * that affects the results.
+   * @param {object} plan - Plan from planSearch()
+   * @returns {string} Cache key
+   */
+  searchCacheKey(plan) {
+    const { topK, where, whereDocument, grouping, modeOptions, mmr, rerankers, threshold } = plan;
+    return JSON.stringify([
+      this.collectionName,
+      plan.query.replace(/\s+/g, ' '),
+      topK,
+      where ?? null,
+      whereDocument ?? null,
+      grouping,
+      modeOptions,
+      mmr,
+      rerankers,
+      threshold
+    ]);
+  }
+
+  /**
+   * Copy a cached search response so callers cannot modify the cache
+   * @param {object} cached - Cached search response
+   * @returns {object} Response marked as served from cache
+   */
+  fromCache(cached) {
+    const searchResult = structuredClone(cached);
+    searchResult.searchMetadata.cached = true;
+    this.countResults(searchResult.results);
+    return searchResult;
+  }
+
+  /**
+   * Count served results by quality for the metrics
+   * @param {Array<object>} results - Results being returned
+   */
+  countResults(results) {
+    for (const result of results) {
+      if (result.quality) {
+        searchResults.inc({ collection: this.collectionName, quality: result.quality });
+      }
+    }
+  }
+
+  /**
+   * Validate a requested result count and clamp it to the configured maximum
+   * @param {number} topK - Number of results requested
+   * @returns {number} Number of results to return
+   * @throws {ValidationError} If topK is not a positive integer
+   */
+  resolveTopK(topK) {
+    if (!Number.isInteger(topK) || topK < 1) {
+      throw new ValidationError('topK must be a positive integer');
+    }
+    const validTopK = Math.min(topK, config.search.maxTopK);
+    if (validTopK !== topK) {
+      this.logger.warn(`topK adjusted from ${topK} to ${validTopK}`);
+    }
+    return validTopK;
+  }
+
+  /**
+   * Validate search arguments and work out how to run the search
+   * @param {string} query - Search query text
+   * @param {number} topK - Number of results to return
+   * @param {object} options - Search options, as for search()
+   * @returns {object} Search plan for runSearch() and searchResult()
+   * @throws {ValidationError} If the query or an option is invalid
+   */
+  planSearch(query, topK, options) {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+      throw new ValidationError('Query must be a non-empty string');
+    }
+
+    const validTopK = this.resolveTopK(topK);
+
+    let where;
+    let whereDocument;
+    let grouping;
+    let modeOptions;
+    let mmr;
+    let rerankers;
+    let threshold;
+    try {
+      where = normalizeWhere(options.where);
+      whereDocument = normalizeWhereDocument(options.whereDocument);
+      grouping = resolveGrouping(options);
+      modeOptions = resolveMode({ ...options, mode: options.mode ?? config.search.defaultMode });
+      mmr = resolveMMR(options);
+      rerankers = resolveRerankers(options.rerank === false ? [] : options.rerank ?? this.rerank);
+      threshold = resolveThreshold(options);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    if (mmr && grouping) {
+      throw new ValidationError('mmr cannot be combined with groupBy');
+    }
+    if (rerankers.length > 0 && (grouping || mmr)) {
+      throw new ValidationError('rerank cannot be combined with groupBy or mmr');
+    }
+
+    if (modeOptions.mode !== 'vector' && !this.keywordIndex) {
+      throw new ValidationError(`Search mode "${modeOptions.mode}" requires the keyword index, which is disabled`);
+    }
+
+    // Grouping, fusion, diversification and re-ranking need more candidates than results to work with
+    const postProcessed = Boolean(grouping || mmr || rerankers.length > 0 || modeOptions.mode !== 'vector');
+    const nResults = postProcessed
+      ? Math.max(validTopK, Math.min(validTopK * config.search.candidateMultiplier, config.search.maxCandidates))
+      : validTopK;
+
+    return {
+      query: query.trim(),
+      requestedTopK: topK,
+      topK: validTopK,
+      nResults,
+      where,
+      whereDocument,
+      grouping,
+      modeOptions,
+      mmr,
+      rerankers,
+      threshold,
+      postProcessed
+    };
+  }
+
+  /**
+   * Retrieve and post-process the results of a planned search
+   * @param {object} plan - Plan from planSearch()
+   * @param {Array<number>} queryEmbedding - Embedded query
+   * @returns {Promise<Array<object>>} Final ranked hits, before thresholds
+   */
+  async runSearch(plan, queryEmbedding) {
+    const { query, topK, nResults, where, whereDocument, grouping, modeOptions, mmr, rerankers } = plan;
+    let formattedResults;
+
+    if (modeOptions.mode === 'vector') {
+      const results = await this.queryCollection({
+        queryEmbeddings: [queryEmbedding],
+        nResults,
+        where,
+        whereDocument,
+        include: ['documents', 'metadatas', 'distances', ...(mmr ? ['embeddings'] : [])]
+      });
+      formattedResults = this.formatHits(results, 0);
+    } else {
+      formattedResults = await this.hybridHits(query, queryEmbedding, nResults, { where, whereDocument }, modeOptions);
+    }
+
+    if (grouping) {
+      return groupResults(formattedResults, topK, grouping).map(parent => this.withQuality(parent));
+    }
+    if (mmr) {
+      return this.diversify(formattedResults, queryEmbedding, topK, mmr);
+    }
+    if (rerankers.length > 0) {
+      return (await rerank(query, formattedResults, rerankers)).slice(0, topK);
+    }
+    return formattedResults.slice(0, topK);
+  }
+
+  /**
+   * Build the search response for a planned search
+   * @param {object} plan - Plan from planSearch()
+   * @param {Array<object>} hits - Final ranked hits from runSearch()
+   * @returns {object} Search results with metadata
+   */
+  searchResult(plan, hits) {
+    const { nResults, where, whereDocument, grouping, modeOptions, mmr, rerankers, threshold } = plan;
+
+    // Drop results below the bar, reporting the closest one that missed it
+    let results = hits;
+    let thresholdReport = null;
+    if (threshold) {
+      ({ accepted: results, report: thresholdReport } = applyThreshold(hits, threshold));
+    }
+
+    this.countResults(results);
+
+    return {
+      query: plan.query,
+      results,
+      resultCount: results.length,
+      threshold: thresholdReport,
+      searchMetadata: {
+        requestedTopK: plan.requestedTopK,
+        actualTopK: plan.topK,
+        filters: { where: where || null, whereDocument: whereDocument || null },
+        grouping: grouping ? { ...grouping, candidates: nResults } : null,
+        mode: modeOptions.mode === 'vector' ? { mode: 'vector' } : { ...modeOptions, candidates: nResults },
+        mmr: mmr ? { ...mmr, candidates: nResults } : null,
+        rerank: rerankers.length > 0 ? { stages: rerankers.map(reranker => reranker.type), candidates: nResults } : null,
+        cached: false,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Run many searches at once
+   *
+   * All queries are embedded together. Plain vector searches that share the
+   * same filters are sent to the collection as one multi-query call; searches
+   * that need post-processing (hybrid, grouping, MMR, re-ranking) run one by
+   * one. A query that fails is reported in its slot instead of failing the batch.
+   *
+   * @param {Array<object|string>} queries - Query texts or { query, topK, ...search options }
+   * @param {object} options - Options applied to every query unless it sets its own
+   * @returns {Promise<object>} Per-query results in input order, each either a
+   *   search() response or { error, message }, with batch counts and metadata
+   * @throws {ValidationError} If queries is not a non-empty array within the batch size limit
+   */
+  async searchMany(queries, options = {}) {
+    this.assertInitialized();
+
+    if (!Array.isArray(queries) || queries.length === 0) {
+      throw new ValidationError('queries must be a non-empty array');
+    }
+    if (queries.length > config.search.maxBatchSize) {
+      throw new ValidationError(`A batch can hold at most ${config.search.maxBatchSize} queries, got ${queries.length}`);
+    }
+
+    const startTime = Date.now();
+    // One query id for the batch, so its lines can be followed together
+    const log = this.logger.child({ queryId: randomUUID() });
+    const results = new Array(queries.length);
+    const failure = (index, error) => {
+      results[index] = {
+        index,
+        query: typeof queries[index] === 'string' ? queries[index] : queries[index]?.query ?? null,
+        error: error instanceof ValidationError ? 'Invalid query' : 'Search failed',
+        message: error.message
+      };
+    };
+
+    // Validate every item first so bad ones do not cost an embedding;
+    // queries answered from the cache skip embedding and retrieval too
+    const plans = [];
+    let cacheHits = 0;
+    queries.forEach((item, index) => {
+      try {
+        const { query, ...itemOptions } = typeof item === 'string' ? { query: item } : item || {};
+        const { topK = config.search.defaultTopK, ...searchOptions } = { ...options, ...itemOptions };
+        const plan = this.planSearch(query, topK, searchOptions);
+        const cacheKey = this.searchCacheKey(plan);
+        const cached = this.resultCache.get(cacheKey);
+        if (cached) {
+          results[index] = { index, ...this.fromCache(cached) };
+          cacheHits++;
+        } else {
+          plans.push({ index, plan, cacheKey });
+        }
+      } catch (error) {
+        failure(index, error);
+      }
+    });
+
+    let calls = 0;
+    const generation = this.cacheGeneration;
+    if (plans.length > 0) {
+      let embeddings;
+      try {
+        embeddings = await this.embedQueries(plans.map(({ plan }) => plan.query));
+      } catch (error) {
+        log.error('Batch embedding failed', { queries: plans.length, error: error.message });
+        plans.forEach(({ index }) => failure(index, error));
+        return this.batchResult(results, calls, cacheHits, startTime, log);
+      }
+
+      // Plain vector searches with the same filters share one multi-query call
+      const groups = new Map();
+      const individual = [];
+      plans.forEach((entry, position) => {
+        entry.embedding = embeddings[position];
+        if (entry.plan.postProcessed) {
+          individual.push(entry);
+          return;
+        }
+        const key = JSON.stringify([entry.plan.where ?? null, entry.plan.whereDocument ?? null]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      });
+
+      for (const group of groups.values()) {
+        const { where, whereDocument } = group[0].plan;
+        const { batchChunkSize } = config.search;
+        for (let i = 0; i < group.length; i += batchChunkSize) {
+          const chunk = group.slice(i, i + batchChunkSize);
+          calls++;
+          try {
+            const response = await this.queryCollection({
+              queryEmbeddings: chunk.map(entry => entry.embedding),
+              nResults: Math.max(...chunk.map(entry => entry.plan.nResults)),
+              where,
+              whereDocument,
+              include: ['documents', 'metadatas', 'distances']
+            });
+            chunk.forEach(({ index, plan }, queryIndex) => {
+              results[index] = { index, ...this.searchResult(plan, this.formatHits(response, queryIndex).slice(0, plan.topK)) };
+            });
+          } catch (error) {
+            log.error('Batch query failed', { queries: chunk.length, error: error.message });
+            chunk.forEach(({ index }) => failure(index, error));
+          }
+        }
+      }
+
+      for (const { index, plan, embedding } of individual) {
+        calls++;
+        try {
+          results[index] = { index, ...this.searchResult(plan, await this.runSearch(plan, embedding)) };
+        } catch (error) {
+          log.error('Batch search item failed', { index, error: error.message });
+          failure(index, error);
+        }
+      }
+
+      // Skip caching if the collection changed while the batch ran
+      if (generation === this.cacheGeneration) {
+        plans.forEach(({ index, cacheKey }) => {
+          if (!results[index].error) {
+            const { index: _, ...searchResult } = results[index];
+            this.resultCache.set(cacheKey, structuredClone(searchResult));
+          }
+        });
+      }
+    }
+
+    return this.batchResult(results, calls, cacheHits, startTime, log);
+  }
+
+  /**
+   * Summarize a completed batch
+   * @param {Array<object>} results - Per-query results in input order
+   * @param {number} calls - Collection calls made
+   * @param {number} cacheHits - Queries answered from the result cache
+   * @param {number} startTime - Batch start, from Date.now()
+   * @param {object} log - The batch's child logger
+   * @returns {object} Batch response
+   */
+  batchResult(results, calls, cacheHits, startTime, log) {
+    const failed = results.filter(result => result.error).length;
+    log.debug('Batch search completed', { queries: results.length, failed, calls, cacheHits });
+
+    return {
+      results,
+      count: results.length,
+      succeeded: results.length - failed,
+      failed,
+      batchMetadata: {
+        collectionCalls: calls,
+        cacheHits,
+        durationMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Find documents similar to one or more stored documents
+   *
+   * The query vector is the centroid of the positive documents' stored
+   * embeddings, moved away from the centroid of any negative documents
+   * (positive - negativeWeight * negative). Seed documents are excluded
+   * from the results.
+   *
+   * @param {string|Array<string>|object} seeds - A document id, an array of ids,
+   *   or { positive: [...ids], negative: [...ids] }
+   * @param {number} topK - Number of results to return (default from config)
+   * @param {object} options - Additional options
+   * @param {object} options.where - Metadata filter
+   * @param {string|object} options.whereDocument - Full-text document filter
+   * @param {number} options.negativeWeight - How strongly negative documents push away (default 0.5)
+   * @returns {Promise<object>} Similar documents with search metadata
+   * @throws {ValidationError} If no positive id is given or options are invalid
+   * @throws {NotFoundError} If a seed document does not exist
+   */
+  async similarTo(seeds, topK = config.search.defaultTopK, options = {}) {
+    this.assertInitialized();
+
+    let positive = [];
+    let negative = [];
+    if (typeof seeds === 'string') {
+      positive = [seeds];
+    } else if (Array.isArray(seeds)) {
+      positive = seeds;
+    } else if (seeds) {
+      positive = seeds.positive || [];
+      negative = seeds.negative || [];
+    }
+
+    if (!Array.isArray(positive) || !Array.isArray(negative)) {
+      throw new ValidationError('positive and negative must be arrays of document ids');
+    }
+    positive = positive.map(String);
+    negative = negative.map(String);
+
+    const { negativeWeight = 0.5 } = options;
+    if (positive.length === 0) {
+      throw new ValidationError('At least one positive document id is required');
+    }
+    if (typeof negativeWeight !== 'number' || negativeWeight < 0) {
+      throw new ValidationError('negativeWeight must be a non-negative number');
+    }
+
+    const validTopK = this.resolveTopK(topK);
+
+    let where;
+    let whereDocument;
+    try {
+      where = normalizeWhere(options.where);
+      whereDocument = normalizeWhereDocument(options.whereDocument);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    const seedIds = [...new Set([...positive, ...negative])];
+    const stored = await this.collection.get({ ids: seedIds, include: ['embeddings'] });
+    const embeddings = new Map(stored.ids.map((id, index) => [id, stored.embeddings[index]]));
+
+    const missing = seedIds.filter(id => !embeddings.has(id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Documents not found: ${missing.join(', ')}`);
+    }
+
+    let queryEmbedding = centroid(positive.map(id => embeddings.get(id)));
+    if (negative.length > 0) {
+      const away = centroid(negative.map(id => embeddings.get(id)));
+      queryEmbedding = queryEmbedding.map((value, index) => value - negativeWeight * away[index]);
+    }
+
+    const idFilter = { id: { $nin: seedIds } };
+    const results = await this.queryCollection({
+      queryEmbeddings: [queryEmbedding],
+      nResults: validTopK,
+      where: where ? { $and: [where, idFilter] } : idFilter,
+      whereDocument
+    });
+    const formattedResults = this.formatHits(results, 0);
+
+    this.logger.debug('Similarity search completed', { positive, negative, resultCount: formattedResults.length });
+
+    return {
+      seeds: { positive, negative },
+      results: formattedResults,
+      resultCount: formattedResults.length,
+      searchMetadata: {
+        requestedTopK: topK,
+        actualTopK: validTopK,
+        filters: { where: where || null, whereDocument: whereDocument || null },
+        negativeWeight: negative.length > 0 ? negativeWeight : null,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Validate and fill in match options
+   * @param {object} options - Options passed to match()
+   * @returns {object} Resolved options
+   * @throws {ValidationError} If an option is invalid
+   */
+  resolveMatchOptions({ strategy = 'topk', topK = config.search.defaultTopK, capacity = 1, minQuality, where } = {}) {
+    if (!MATCH_STRATEGIES.includes(strategy)) {
+      throw new ValidationError(`strategy must be one of: ${MATCH_STRATEGIES.join(', ')}`);
+    }
+    if (!Number.isInteger(topK) || topK < 1 || topK > config.search.maxTopK) {
+      throw new ValidationError(`topK must be an integer between 1 and ${config.search.maxTopK}`);
+    }
+
+    const capacities = typeof capacity === 'object' && capacity !== null ? Object.values(capacity) : [capacity];
+    if (!capacities.every(value => Number.isInteger(value) && value >= 1)) {
+      throw new ValidationError('capacity must be a positive integer or an object of positive integers by id');
+    }
+
+    if (minQuality !== undefined && !QUALITY_LEVELS.includes(minQuality)) {
+      throw new ValidationError(`minQuality must be one of: ${QUALITY_LEVELS.join(', ')}`);
+    }
+
+    let normalizedWhere;
+    try {
+      normalizedWhere = normalizeWhere(where);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    return { strategy, topK, capacity, minQuality, where: normalizedWhere };
+  }
+
+  /**
+   * Rank every right item for each left item by distance
+   * Right items are embedded and compared locally; without them, the
+   * collection is queried for each left item's nearest documents.
+   * @param {Array<Array<number>>} leftEmbeddings - Embedded left items
+   * @param {Array<object>|null} right - Right items, or null to use the collection
+   * @param {number} nResults - Collection candidates per left item
+   * @param {object} where - Normalized metadata filter for collection candidates
+   * @returns {Promise<Array<Array<object>>>} Hits per left item, sorted by ascending distance
+   */
+  async matchCandidates(leftEmbeddings, right, nResults, where) {
+    if (right) {
+      const rightEmbeddings = await this.embeddingProvider.generate(right.map(item => String(item.text)));
+
+      return leftEmbeddings.map(leftEmbedding => right
+        .map((item, index) => this.withQuality({
+          id: String(item.id),
+          text: String(item.text),
+          metadata: item.metadata || {},
+          distance: parseFloat(distance(leftEmbedding, rightEmbeddings[index], this.distanceSpace).toFixed(4))
+        }))
+        .sort((a, b) => a.distance - b.distance));
+    }
+
+    const candidates = [];
+    const { batchSize } = this.ingestOptions;
+    for (let i = 0; i < leftEmbeddings.length; i += batchSize) {
+      const queryEmbeddings = leftEmbeddings.slice(i, i + batchSize);
+      const results = await this.queryCollection({ queryEmbeddings, nResults, where });
+      queryEmbeddings.forEach((_, index) => candidates.push(this.formatHits(results, index)));
+    }
+    return candidates;
+  }
+
+  /**
+   * Match one set of items against another
+   *
+   * Strategies:
+   *   topk       - Each left item gets its topK nearest right items
+   *   assignment - Optimal one-to-one pairing minimizing total distance (Hungarian
+   *                algorithm); a right item can take up to `capacity` left items
+   *
+   * @param {Array<object>} left - Items to match, each with id and text (e.g. job postings)
+   * @param {Array<object>|null} right - Items to match against; null or omitted uses the collection
+   * @param {object} options - Match options
+   * @param {string} options.strategy - 'topk' (default) or 'assignment'
+   * @param {number} options.topK - Matches per left item for 'topk' (default from config)
+   * @param {number|object} options.capacity - Left items each right item can take in 'assignment',
+   *   as a number or an object by right id (default 1)
+   * @param {string} options.minQuality - Drop pairs worse than this quality ('excellent', 'good', 'weak', 'poor')
+   * @param {object} options.where - Metadata filter for collection candidates
+   * @returns {Promise<object>} Matches per left item with a summary
+   * @throws {ValidationError} If items or options are invalid
+   */
+  async match(left, right = null, options = {}) {
+    this.assertInitialized();
+    const startTime = Date.now();
+
+    this.validateDocuments(left);
+    if (right) this.validateDocuments(right);
+    for (const [side, items] of [['left', left], ['right', right || []]]) {
+      if (items.length > config.match.maxItems) {
+        throw new ValidationError(`Too many ${side} items: ${items.length} (maximum ${config.match.maxItems})`);
+      }
+    }
+
+    const { strategy, topK, capacity, minQuality, where } = this.resolveMatchOptions(options);
+    const allowed = hit => !minQuality || meetsQuality(hit.quality, minQuality);
+
+    this.logger.debug('Matching items', { left: left.length, right: right ? right.length : 'collection', strategy, topK, minQuality });
+
+    const leftEmbeddings = await this.embeddingProvider.generate(left.map(item => String(item.text)));
+    const nResults = strategy === 'assignment' ? config.search.maxCandidates : topK;
+    const candidates = await this.matchCandidates(leftEmbeddings, right, nResults, where);
+
+    let matches;
+    if (strategy === 'topk') {
+      matches = candidates.map(hits => hits.filter(allowed).slice(0, topK));
+    } else {
+      // One column per unit of right-side capacity
+      const columns = [];
+      const seen = new Set();
+      for (const hit of candidates.flat()) {
+        if (seen.has(hit.id)) continue;
+        seen.add(hit.id);
+        const slots = typeof capacity === 'object' ? (capacity[hit.id] ?? 1) : capacity;
+        for (let slot = 0; slot < slots; slot++) columns.push(hit.id);
+      }
+
+      const costs = candidates.map(hits => {
+        const byId = new Map(hits.filter(allowed).map(hit => [hit.id, hit]));
+        return columns.map(id => byId.get(id)?.distance ?? Infinity);
+      });
+
+      const assigned = solveAssignment(costs);
+      matches = candidates.map((hits, row) => assigned[row] === -1
+        ? []
+        : hits.filter(hit => hit.id === columns[assigned[row]]));
+    }
+
+    const results = left.map((item, index) => ({
+      id: String(item.id),
+      text: String(item.text),
+      matches: matches[index]
+    }));
+
+    const pairs = matches.flat();
+    const matchedRight = new Set(pairs.map(hit => hit.id));
+    const unmatched = results.filter(result => result.matches.length === 0).map(result => result.id);
+
+    const matchResult = {
+      strategy,
+      results,
+      unmatched,
+      unmatchedRight: right ? right.map(item => String(item.id)).filter(id => !matchedRight.has(id)) : null,
+      summary: {
+        left: left.length,
+        right: right ? right.length : null,
+        pairs: pairs.length,
+        matched: results.length - unmatched.length,
+        totalDistance: parseFloat(pairs.reduce((sum, hit) => sum + hit.distance, 0).toFixed(4))
+      },
+      matchMetadata: {
+        source: right ? 'items' : 'collection',
+        topK: strategy === 'topk' ? topK : null,
+        capacity: strategy === 'assignment' ? capacity : null,
+        minQuality: minQuality || null,
+        where: where || null,
+        durationMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    this.logger.info('Match completed', { strategy, ...matchResult.summary });
+    return matchResult;
+  }
+
+  /**
+   * Measure retrieval quality against labeled queries
+   * Runs every query through search() and scores the returned ids against the
+   * expected relevant ids with recall@k, precision@k, MRR and nDCG@k.
+   * @param {Array<object>} queries - Labeled queries: { query, relevant, id?, where?, options? };
+   *   relevant is an array of ids or an object of relevance grades by id
+   * @param {object} options - Evaluation options
+   * @param {number} options.k - Cutoff rank for every metric (default from config)
+   * @param {object} options.search - Search options for every query (mode, rerank, minQuality, ...);
+   *   a query's own where and options take precedence
+   * @returns {Promise<object>} k, overall metrics, per-query ids and metrics, and evaluation metadata;
+   *   the report can be saved and passed to compareEvaluations() as a baseline
+   * @throws {ValidationError} If the set, k or a query's search options are invalid
+   */
+  async evaluate(queries, { k = config.search.defaultTopK, search: searchOptions = {} } = {}) {
+    this.assertInitialized();
+    const startTime = Date.now();
+
+    if (!Number.isInteger(k) || k < 1 || k > config.search.maxTopK) {
+      throw new ValidationError(`k must be an integer from 1 to ${config.search.maxTopK}`);
+    }
+    let items;
+    try {
+      items = resolveEvaluationSet(queries);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    this.logger.info('Evaluating retrieval quality', { queries: items.length, k });
+
+    const results = [];
+    for (const item of items) {
+      let response;
+      try {
+        response = await this.search(item.query, k, {
+          ...searchOptions,
+          ...item.options,
+          ...(item.where ? { where: item.where } : {})
+        });
+      } catch (error) {
+        if (error instanceof ValidationError) {
+          throw new ValidationError(`Query ${item.id}: ${error.message}`);
+        }
+        throw error;
+      }
+
+      const retrieved = response.results.map(result => result.id);
+      results.push({
+        id: item.id,
+        query: item.query,
+        relevant: [...item.relevance.keys()],
+        retrieved,
+        metrics: scoreRanking(retrieved, item.relevance, k)
+      });
+    }
+
+    const report = {
+      k,
+      metrics: averageScores(results.map(result => result.metrics)),
+      queries: results,
+      evaluationMetadata: {
+        collection: this.collectionName,
+        queryCount: results.length,
+        embedding: this.embeddingInfo,
+        search: searchOptions,
+        durationMs: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    this.logger.info('Evaluation completed', { k, ...report.metrics });
+    return report;
+  }
+
+  /**
+   * Add new documents to the collection
+   * @param {Array<object>} items - Data items with id, text, and optional metadata
+   * @returns {Promise<object>} Count and ids of added documents
+   * @throws {ValidationError} If any item is invalid
+   * @throws {ConflictError} If any id already exists
+   */
+  async addDocuments(items) {
+    this.assertInitialized();
+    this.validateDocuments(items);
+
+    const records = this.prepareRecords(items);
+    const existing = await this.collection.get({ ids: records.ids, include: ['metadatas'] });
+    if (existing.ids.length > 0) {
+      throw new ConflictError(`Documents already exist: ${existing.ids.join(', ')}`);
+    }
+
+    try {
+      await this.addRecords(items);
+      this.logger.info(`Added ${records.ids.length} documents`, { ids: records.ids });
+      return { added: records.ids.length, ids: records.ids };
+    } catch (error) {
+      this.logger.error('Failed to add documents', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert documents, replacing any that already exist with the same id
+   * @param {Array<object>} items - Data items with id, text, and optional metadata
+   * @returns {Promise<object>} Counts of created and updated documents
+   * @throws {ValidationError} If any item is invalid
+   */
+  async upsertDocuments(items) {
+    this.assertInitialized();
+    this.validateDocuments(items);
+
+    const ids = items.map(item => String(item.id));
+    const existing = await this.collection.get({ ids, include: ['metadatas'] });
+    const currentMetadata = new Map(existing.ids.map((id, index) => [id, existing.metadatas[index] || {}]));
+
+    const toCreate = items.filter(item => !currentMetadata.has(String(item.id)));
+    const toReplace = items.filter(item => currentMetadata.has(String(item.id)));
+
+    try {
+      if (toCreate.length > 0) {
+        await this.addRecords(toCreate);
+      }
+      if (toReplace.length > 0) {
+        await this.updateRecords(toReplace, currentMetadata);
+      }
+
+      const result = {
+        created: toCreate.length,
+        updated: toReplace.length,
+        ids
+      };
+      this.logger.info(`Upserted ${ids.length} documents`, { created: result.created, updated: result.updated });
+      return result;
+    } catch (error) {
+      this.logger.error('Failed to upsert documents', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update the text and/or metadata of an existing document
+   * Metadata is merged into the existing metadata unless replaceMetadata is set;
+   * a null value removes that key.
+   * @param {string} id - Document id
+   * @param {object} changes - Changes to apply
+   * @param {string} changes.text - New document text
+   * @param {object} changes.metadata - Metadata to merge or replace
+   * @param {boolean} changes.replaceMetadata - Replace metadata instead of merging
+   * @returns {Promise<object|null>} Updated document, or null if not found
+   * @throws {ValidationError} If the changes are invalid
+   */
+  async updateDocument(id, changes = {}) {
+    this.assertInitialized();
+
+    const { text, metadata, replaceMetadata = false } = changes;
+    if (text === undefined && metadata === undefined) {
+      throw new ValidationError('Update must include text and/or metadata');
+    }
+
+    const current = await this.getStoredDocument(id);
+    if (!current) {
+      return null;
+    }
+
+    const baseMetadata = replaceMetadata ? {} : this.userMetadata(current.metadata);
+    const item = {
+      id: current.id,
+      text: text === undefined ? current.text : text,
+      metadata: { ...baseMetadata, ...(metadata || {}) }
+    };
+
+    const error = validateItem(item, 0);
+    if (error) {
+      throw new ValidationError(`Invalid update for document ${id}: ${error}`);
+    }
+
+    try {
+      await this.updateRecords([item], new Map([[current.id, current.metadata]]));
+      this.logger.info('Updated document', { id, textChanged: text !== undefined });
+      return await this.getDocument(id);
+    } catch (error) {
+      this.logger.error('Failed to update document', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete documents by id and/or metadata filter
+   * @param {object} criteria - Deletion criteria
+   * @param {Array<string>} criteria.ids - Document ids to delete
+   * @param {object} criteria.where - Metadata filter selecting documents to delete
+   * @returns {Promise<object>} Count and ids of deleted documents
+   * @throws {ValidationError} If no criteria are given or the filter is invalid
+   */
+  async deleteDocuments({ ids, where } = {}) {
+    this.assertInitialized();
+
+    let normalizedWhere;
+    try {
+      normalizedWhere = normalizeWhere(where);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+    if ((!Array.isArray(ids) || ids.length === 0) && !normalizedWhere) {
+      throw new ValidationError('Delete requires a non-empty ids array and/or a where filter');
+    }
+
+    // Resolve matching ids first so the response can report what was removed
+    const matches = await this.collection.get({
+      ids: Array.isArray(ids) && ids.length > 0 ? ids.map(String) : undefined,
+      where: normalizedWhere,
+      include: ['metadatas']
+    });
+
+    if (matches.ids.length === 0) {
+      return { deleted: 0, ids: [] };
+    }
+
+    try {
+      await this.removeRecords(matches.ids);
+      this.logger.info(`Deleted ${matches.ids.length} documents`, { ids: matches.ids });
+      return { deleted: matches.ids.length, ids: matches.ids };
+    } catch (error) {
+      this.logger.error('Failed to delete documents', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single document by id
+   * @param {string} id - Document id
+   * @returns {Promise<object|null>} Document with id, text, and caller-supplied metadata, or null if not found
+   */
+  async getDocument(id) {
+    const document = await this.getStoredDocument(id);
+    return document && { ...document, metadata: this.userMetadata(document.metadata) };
+  }
+
+  /**
+   * Get a single document by id with its metadata as stored, including managed keys
+   * @param {string} id - Document id
+   * @returns {Promise<object|null>} Document with id, text, and stored metadata, or null if not found
+   */
+  async getStoredDocument(id) {
+    this.assertInitialized();
+
+    const result = await this.collection.get({
+      ids: [String(id)],
+      include: ['documents', 'metadatas']
+    });
+
+    if (result.ids.length === 0) {
+      return null;
+    }
+
+    return {
+      id: result.ids[0],
+      text: result.documents[0],
+      metadata: result.metadatas[0]
+    };
+  }
+
+  /**
+   * Metadata fields used by stored documents, excluding managed keys
+   * Scans the collection and keeps the result until the collection changes.
+   * @returns {Promise<Set<string>>} Field names
+   */
+  async metadataFields() {
+    this.assertInitialized();
+    if (this.fieldCache?.generation === this.cacheGeneration) {
+      return this.fieldCache.fields;
+    }
+
+    const generation = this.cacheGeneration;
+    const fields = new Set();
+    let offset = 0;
+    while (true) {
+      const page = await this.collection.get({ include: ['metadatas'], limit: SYNC_PAGE_SIZE, offset });
+      page.metadatas.forEach(metadata => Object.keys(this.userMetadata(metadata)).forEach(key => fields.add(key)));
+
+      if (page.ids.length < SYNC_PAGE_SIZE) break;
+      offset += SYNC_PAGE_SIZE;
+    }
+
+    this.fieldCache = { generation, fields };
+    return fields;
+  }
+
+  /**
+   * Get collection statistics and health information
+   * @returns {Promise<object>} Collection stats and system info
+   */
+  async getStats() {
+    this.assertInitialized();
+    
+    try {
+      const count = await this.collection.count();
+      
+      return {
+        collectionName: this.collectionName,
+        documentCount: count,
+        initialized: this.initialized,
+        persistent: this.persistent,
+        storage: this.backend.name,
+        embedding: this.embeddingInfo,
+        quality: {
+          distance: this.distanceSpace,
+          bands: this.qualityBands,
+          guide: this.qualityGuide,
+          calibration: this.qualityCalibration
+        },
+        cache: {
+          results: this.resultCache.stats(),
+          embeddings: this.embeddingCache.stats()
+        },
+        lastSync: this.lastSync,
+        chromaUrl: this.chromaUrl,
+        config: {
+          defaultTopK: config.search.defaultTopK,
+          maxTopK: config.search.maxTopK
+        },
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      this.logger.error('Failed to get stats', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Reset the collection (useful for development)
+   * Always recreates the collection and reloads all data, even in persistent mode
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    this.logger.info('Resetting SemanticMatcher');
+    this.initialized = false;
+    this.invalidateCache();
+    await this.initialize({ reset: true });
+    this.logger.info('SemanticMatcher reset complete');
+  }
+
+  /**
+   * Health check - verify storage backend connectivity
+   * @returns {Promise<boolean>} True if healthy
+   */
+  async healthCheck() {
+    try {
+      await this.backend.heartbeat();
+      return true;
+    } catch (error) {
+      heartbeatFailures.inc({ storage: this.backend.name });
+      this.logger.error('Health check failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Flush pending storage writes before the process exits
+   * A backend shared through options.backend is closed by its owner instead.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.removeMetricsCollector?.();
+    this.removeMetricsCollector = null;
+    collectionDocuments.remove({ collection: this.collectionName });
+
+    if (this.ownsBackend) {
+      await this.backend.close();
     }
+    this.logger.debug('SemanticMatcher closed');
   }
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Optimal one-to-one assignment (Hungarian algorithm)
+ * Used by SemanticMatcher.match to pair two sets of items by distance
+ */
+
+/**
+ * Solve a rectangular minimum-cost assignment problem
+ *
+ * Every row is assigned to a distinct column when there are at least as many
+ * columns as rows, and vice versa. Forbidden pairs (cost Infinity) are only
+ * used when nothing else is possible and are reported as unassigned, so the
+ * result maximizes the number of allowed pairs first and minimizes their
+ * total cost second.
+ *
+ * @param {Array<Array<number>>} costs - Cost matrix, costs[row][column]
+ * @returns {Array<number>} Assigned column for each row, or -1 if unassigned
+ */
+export function solveAssignment(costs) {
+  const rows = costs.length;
+  const columns = rows > 0 ? costs[0].length : 0;
+  if (rows === 0 || columns === 0) {
+    return new Array(rows).fill(-1);
+  }
+
+  // The algorithm needs rows <= columns; solve the transpose otherwise
+  if (rows > columns) {
+    const transposed = Array.from({ length: columns }, (_, column) => costs.map(row => row[column]));
+    const assigned = solveAssignment(transposed);
+    const result = new Array(rows).fill(-1);
+    assigned.forEach((row, column) => {
+      if (row !== -1) result[row] = column;
+    });
+    return result;
+  }
+
+  // Replace forbidden pairs with a cost larger than any all-allowed assignment
+  let maxCost = 0;
+  for (const row of costs) {
+    for (const cost of row) {
+      if (Number.isFinite(cost)) maxCost = Math.max(maxCost, Math.abs(cost));
+    }
+  }
+  const forbidden = (maxCost + 1) * (rows + 1);
+  const cost = (row, column) => Number.isFinite(costs[row][column]) ? costs[row][column] : forbidden;
+
+  // Potentials-based O(rows^2 * columns) implementation, 1-indexed
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(columns + 1).fill(0);
+  const owner = new Array(columns + 1).fill(0);   // row assigned to each column
+  const way = new Array(columns + 1).fill(0);
+
+  for (let row = 1; row <= rows; row++) {
+    owner[0] = row;
+    let column0 = 0;
+    const minValues = new Array(columns + 1).fill(Infinity);
+    const used = new Array(columns + 1).fill(false);
+
+    do {
+      used[column0] = true;
+      const row0 = owner[column0];
+      let delta = Infinity;
+      let column1 = 0;
+
+      for (let column = 1; column <= columns; column++) {
+        if (used[column]) continue;
+        const reduced = cost(row0 - 1, column - 1) - u[row0] - v[column];
+        if (reduced < minValues[column]) {
+          minValues[column] = reduced;
+          way[column] = column0;
+        }
+        if (minValues[column] < delta) {
+          delta = minValues[column];
+          column1 = column;
+        }
+      }
+
+      for (let column = 0; column <= columns; column++) {
+        if (used[column]) {
+          u[owner[column]] += delta;
+          v[column] -= delta;
+        } else {
+          minValues[column] -= delta;
+        }
+      }
+      column0 = column1;
+    } while (owner[column0] !== 0);
+
+    do {
+      const column1 = way[column0];
+      owner[column0] = owner[column1];
+      column0 = column1;
+    } while (column0 !== 0);
+  }
+
+  const result = new Array(rows).fill(-1);
+  for (let column = 1; column <= columns; column++) {
+    const row = owner[column] - 1;
+    if (row >= 0 && Number.isFinite(costs[row][column - 1])) {
+      result[row] = column - 1;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,201 @@
+/**
+ * Embedding providers for semantic matching
+ * Each provider implements ChromaDB's embedding function interface (`generate`)
+ * and describes itself so a collection can record which model built it.
+ */
+
+import { DefaultEmbeddingFunction } from 'chromadb';
+import { logger } from '../utils/logger.mjs';
+import { tokenize } from './KeywordIndex.mjs';
+
+/**
+ * Base embedding provider
+ * Extend this class to add embedding sources
+ */
+export class EmbeddingProvider {
+  /**
+   * @param {string} name - Provider name recorded in collection metadata
+   * @param {string} model - Model name recorded in collection metadata
+   * @param {number} dimensions - Vector size, if known up front
+   */
+  constructor(name, model, dimensions) {
+    this.name = name;
+    this.model = model;
+    this.dimensions = dimensions || null;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text
+   */
+  async generate(texts) {
+    throw new Error('EmbeddingProvider.generate() must be implemented by subclass');
+  }
+
+  /**
+   * Vector size produced by this provider
+   * Embeds a probe text when the size is not known up front
+   * @returns {Promise<number>} Number of dimensions
+   */
+  async dimension() {
+    if (!this.dimensions) {
+      const [vector] = await this.generate(['dimension probe']);
+      this.dimensions = vector.length;
+    }
+    return this.dimensions;
+  }
+
+  /**
+   * Provider description stored with the collection
+   * @returns {Promise<object>} Provider, model and dimension
+   */
+  async describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      dimension: await this.dimension()
+    };
+  }
+}
+
+/**
+ * ChromaDB's built-in sentence transformer (all-MiniLM-L6-v2 by default)
+ * Runs in-process; the model is downloaded on first use
+ */
+export class DefaultEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.model - Transformers.js model name
+   */
+  constructor({ model = 'Xenova/all-MiniLM-L6-v2' } = {}) {
+    super('default', model, model === 'Xenova/all-MiniLM-L6-v2' ? 384 : null);
+    this.embedder = new DefaultEmbeddingFunction({ model });
+  }
+
+  async generate(texts) {
+    return this.embedder.generate(texts);
+  }
+}
+
+/**
+ * OpenAI-compatible `/v1/embeddings` endpoint
+ * Works with OpenAI as well as local servers such as Ollama or llama.cpp
+ */
+export class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.url - Server base URL, e.g. 'http://localhost:11434'
+   * @param {string} options.model - Model name sent with each request
+   * @param {string} options.apiKey - Bearer token, if the server requires one
+   * @param {number} options.dimensions - Expected vector size (probed if omitted)
+   * @param {number} options.batchSize - Texts sent per request (default 64)
+   * @param {number} options.timeout - Request timeout in ms (default 30000)
+   */
+  constructor({ url, model, apiKey, dimensions, batchSize = 64, timeout = 30000 }) {
+    super('openai', model, dimensions);
+    this.endpoint = `${url.replace(/\/+$/, '').replace(/\/v1$/, '')}/v1/embeddings`;
+    this.apiKey = apiKey;
+    this.batchSize = batchSize;
+    this.timeout = timeout;
+  }
+
+  async generate(texts) {
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const input = texts.slice(i, i + this.batchSize);
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify({ model: this.model, input }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw new Error(`Embedding request to ${this.endpoint} failed with status ${response.status}: ${body.slice(0, 200)}`);
+      }
+
+      const { data } = await response.json();
+      if (!Array.isArray(data) || data.length !== input.length) {
+        throw new Error(`Embedding response from ${this.endpoint} returned ${data?.length ?? 0} vectors for ${input.length} texts`);
+      }
+
+      vectors.push(...[...data].sort((a, b) => a.index - b.index).map(entry => entry.embedding));
+    }
+
+    return vectors;
+  }
+}
+
+/**
+ * Deterministic feature-hashing embedder
+ * Needs no model or network, so tests and offline runs get stable vectors.
+ * Texts sharing terms land close together; it does not capture synonyms.
+ */
+export class HashEmbeddingProvider extends EmbeddingProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {number} options.dimensions - Vector size (default 256)
+   */
+  constructor({ dimensions = 256 } = {}) {
+    super('hash', 'feature-hash-v1', dimensions);
+  }
+
+  /**
+   * 32-bit FNV-1a hash
+   * @param {string} value - String to hash
+   * @returns {number} Unsigned hash
+   */
+  hash(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  async generate(texts) {
+    return texts.map(text => {
+      const vector = new Array(this.dimensions).fill(0);
+
+      for (const term of tokenize(text)) {
+        const hash = this.hash(term);
+        // The top bit picks the sign so collisions tend to cancel out
+        vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+  }
+}
+
+/**
+ * Create an embedding provider based on configuration
+ * @param {string} type - Provider type ('default', 'openai', 'hash')
+ * @param {object} options - Provider options (model, url, apiKey, dimensions, batchSize, timeout)
+ * @returns {EmbeddingProvider} Configured embedding provider
+ * @throws {Error} If required options are missing
+ */
+export function createEmbeddingProvider(type = 'default', options = {}) {
+  switch (type.toLowerCase()) {
+    case 'default':
+      return new DefaultEmbeddingProvider(options);
+    case 'openai':
+      if (!options.url || !options.model) {
+        throw new Error('OpenAI-compatible embedding provider requires url and model options');
+      }
+      return new OpenAIEmbeddingProvider(options);
+    case 'hash':
+      return new HashEmbeddingProvider(options);
+    default:
+      logger.warn(`Unknown embedding provider: ${type}, falling back to default`);
+      return new DefaultEmbeddingProvider(options);
+  }
+}
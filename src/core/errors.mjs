@@ -0,0 +1,34 @@
+/**
+ * Error types for SemanticMatcher operations
+ * Lets callers such as the REST API tell bad input apart from server failures
+ */
+
+/**
+ * Input failed validation (maps to HTTP 400)
+ */
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Requested resource does not exist (maps to HTTP 404)
+ */
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Operation conflicts with existing state (maps to HTTP 409)
+ */
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
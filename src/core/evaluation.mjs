@@ -0,0 +1,191 @@
+/**
+ * Retrieval quality evaluation
+ * Scores ranked search results against labeled relevance judgments and
+ * compares runs so changes to data, models or thresholds can be checked
+ */
+
+/**
+ * Metrics reported per query and overall, all 0-1 with higher better
+ *   recall    - Share of the relevant documents found in the top k
+ *   precision - Share of the top k that is relevant
+ *   mrr       - Reciprocal rank of the first relevant result (0 if none in the top k)
+ *   ndcg      - Normalized discounted cumulative gain, using graded relevance
+ */
+export const EVALUATION_METRICS = ['recall', 'precision', 'mrr', 'ndcg'];
+
+/**
+ * Round a metric for reports
+ * @param {number} value - Metric value
+ * @returns {number} Value rounded to 4 decimals
+ */
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Normalize relevance judgments to grades by document id
+ * @param {Array<string>|object} relevant - Relevant ids (grade 1 each), or grades by id
+ * @returns {Map<string, number>} Positive grades by id
+ * @throws {Error} If the judgments are malformed
+ */
+function resolveRelevance(relevant) {
+  if (Array.isArray(relevant)) {
+    if (relevant.some(id => typeof id !== 'string' && typeof id !== 'number')) {
+      throw new Error('relevant ids must be strings or numbers');
+    }
+    return new Map(relevant.map(id => [String(id), 1]));
+  }
+  if (relevant && typeof relevant === 'object') {
+    const entries = Object.entries(relevant);
+    if (entries.some(([, grade]) => typeof grade !== 'number' || !Number.isFinite(grade) || grade < 0)) {
+      throw new Error('relevance grades must be non-negative numbers');
+    }
+    return new Map(entries.filter(([, grade]) => grade > 0));
+  }
+  throw new Error('relevant must be an array of ids or an object of grades by id');
+}
+
+/**
+ * Validate a labeled evaluation set
+ * @param {Array<object>} queries - Items of { query, relevant, id?, where?, options? };
+ *   relevant is an array of ids or an object of grades by id (e.g. { "doc-1": 3, "doc-2": 1 })
+ * @returns {Array<object>} Items with id, query, relevance (Map of grades), where and options
+ * @throws {Error} Listing every invalid item
+ */
+export function resolveEvaluationSet(queries) {
+  if (!Array.isArray(queries) || queries.length === 0) {
+    throw new Error('Evaluation set must be a non-empty array of queries');
+  }
+
+  const errors = [];
+  const resolved = queries.map((item, index) => {
+    const label = `Query ${index + 1}`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return null;
+    }
+    if (typeof item.query !== 'string' || item.query.trim().length === 0) {
+      errors.push(`${label}: query must be a non-empty string`);
+    }
+
+    let relevance = null;
+    try {
+      relevance = resolveRelevance(item.relevant);
+      if (relevance.size === 0) {
+        errors.push(`${label}: needs at least one relevant id`);
+      }
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+
+    return {
+      id: String(item.id ?? index + 1),
+      query: item.query,
+      relevance,
+      where: item.where,
+      options: item.options || {}
+    };
+  });
+
+  const ids = resolved.filter(Boolean).map(item => item.id);
+  const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate query ids: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid evaluation set: ${errors.join('; ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Score one ranked result list
+ * @param {Array<string>} retrieved - Result ids, best first
+ * @param {Map<string, number>} relevance - Positive grades by id
+ * @param {number} k - Cutoff rank
+ * @returns {object} recall, precision, mrr and ndcg at k
+ */
+export function scoreRanking(retrieved, relevance, k) {
+  const top = retrieved.slice(0, k);
+  const hits = top.filter(id => relevance.has(id)).length;
+  const firstRank = top.findIndex(id => relevance.has(id));
+
+  // Gain 2^grade - 1 so that higher grades count for more than linearly
+  const gain = grade => 2 ** grade - 1;
+  const dcg = top.reduce((sum, id, rank) => sum + gain(relevance.get(id) ?? 0) / Math.log2(rank + 2), 0);
+  const ideal = [...relevance.values()]
+    .sort((a, b) => b - a)
+    .slice(0, k)
+    .reduce((sum, grade, rank) => sum + gain(grade) / Math.log2(rank + 2), 0);
+
+  return {
+    recall: round(hits / relevance.size),
+    precision: round(hits / k),
+    mrr: round(firstRank === -1 ? 0 : 1 / (firstRank + 1)),
+    ndcg: round(ideal > 0 ? dcg / ideal : 0)
+  };
+}
+
+/**
+ * Average per-query metrics
+ * @param {Array<object>} scores - Metric objects from scoreRanking
+ * @returns {object} Mean of each metric
+ */
+export function averageScores(scores) {
+  return Object.fromEntries(EVALUATION_METRICS.map(metric => [
+    metric,
+    round(scores.reduce((sum, score) => sum + score[metric], 0) / scores.length)
+  ]));
+}
+
+/**
+ * Compare an evaluation report with a baseline report
+ * An overall metric regresses when it drops by more than the tolerance.
+ * Per-query drops are listed to help find the cause but do not count as
+ * a regression on their own.
+ * @param {object} current - Report from SemanticMatcher.evaluate()
+ * @param {object} baseline - Earlier report, e.g. saved as JSON
+ * @param {object} options - Comparison options
+ * @param {number} options.tolerance - Allowed drop per metric (default 0)
+ * @returns {object} regressed, per-metric baseline/current/delta and the queries that got worse
+ * @throws {Error} If the reports were run with different k or the baseline is malformed
+ */
+export function compareEvaluations(current, baseline, { tolerance = 0 } = {}) {
+  if (!baseline?.metrics || !Array.isArray(baseline.queries)) {
+    throw new Error('Baseline must be an evaluation report with metrics and queries');
+  }
+  if (baseline.k !== current.k) {
+    throw new Error(`Baseline was run with k=${baseline.k}, this run used k=${current.k}`);
+  }
+
+  const metrics = Object.fromEntries(EVALUATION_METRICS.map(metric => {
+    const delta = round(current.metrics[metric] - (baseline.metrics[metric] ?? 0));
+    return [metric, {
+      baseline: baseline.metrics[metric] ?? null,
+      current: current.metrics[metric],
+      delta,
+      regressed: delta < -tolerance
+    }];
+  }));
+
+  const baselineQueries = new Map(baseline.queries.map(query => [query.id, query]));
+  const worse = current.queries
+    .filter(query => baselineQueries.has(query.id))
+    .map(query => {
+      const before = baselineQueries.get(query.id).metrics;
+      const drops = Object.fromEntries(EVALUATION_METRICS
+        .map(metric => [metric, round(query.metrics[metric] - before[metric])])
+        .filter(([, delta]) => delta < -tolerance));
+      return { id: query.id, query: query.query, drops };
+    })
+    .filter(query => Object.keys(query.drops).length > 0);
+
+  return {
+    regressed: Object.values(metrics).some(metric => metric.regressed),
+    tolerance,
+    metrics,
+    worseQueries: worse,
+    missingQueries: baseline.queries.filter(query => !current.queries.some(item => item.id === query.id)).map(query => query.id)
+  };
+}
@@ -0,0 +1,359 @@
+/**
+ * Search filter utilities
+ * Validates and normalizes metadata (`where`) and document (`whereDocument`)
+ * filters before they are passed to ChromaDB
+ */
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin'];
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const LIST_OPERATORS = ['$in', '$nin'];
+const LOGICAL_OPERATORS = ['$and', '$or'];
+const DOCUMENT_OPERATORS = ['$contains', '$not_contains'];
+
+// Metadata keys SemanticMatcher keeps for itself; they are not filterable.
+// 'id' is managed too, but mirrors the document id and stays filterable.
+export const MANAGED_FIELDS = ['originalText', 'contentHash', 'syncSource'];
+
+/**
+ * Check whether a value is a plain object (not null, not an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value can be stored and compared as ChromaDB metadata
+ * @param {*} value - Value to check
+ * @returns {boolean} True if string, finite number or boolean
+ */
+function isScalar(value) {
+  return typeof value === 'string' ||
+    typeof value === 'boolean' ||
+    (typeof value === 'number' && Number.isFinite(value));
+}
+
+/**
+ * Combine a list of clauses with a logical operator
+ * ChromaDB rejects logical operators with fewer than two clauses, so a single
+ * clause is returned unwrapped
+ * @param {string} operator - '$and' or '$or'
+ * @param {Array<object>} clauses - Normalized clauses
+ * @returns {object} Combined clause
+ */
+function combine(operator, clauses) {
+  return clauses.length === 1 ? clauses[0] : { [operator]: clauses };
+}
+
+/**
+ * Normalize the condition for a single metadata field
+ * @param {string} field - Metadata field name
+ * @param {*} condition - Scalar value or operator object
+ * @param {string} path - Location used in error messages
+ * @returns {Array<object>} One clause per operator
+ */
+function normalizeFieldCondition(field, condition, path) {
+  if (isScalar(condition)) {
+    return [{ [field]: condition }];
+  }
+
+  if (!isPlainObject(condition) || Object.keys(condition).length === 0) {
+    throw new Error(`Invalid filter: ${path} must be a string, number, boolean or operator object`);
+  }
+
+  return Object.entries(condition).map(([operator, value]) => {
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw new Error(
+        `Invalid filter: unsupported operator "${operator}" at ${path} ` +
+        `(supported: ${COMPARISON_OPERATORS.join(', ')})`
+      );
+    }
+
+    if (RANGE_OPERATORS.includes(operator)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Invalid filter: ${path}.${operator} must be a number`);
+      }
+    } else if (LIST_OPERATORS.includes(operator)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Invalid filter: ${path}.${operator} must be a non-empty array`);
+      }
+      if (!value.every(isScalar)) {
+        throw new Error(`Invalid filter: ${path}.${operator} may only contain strings, numbers or booleans`);
+      }
+      if (new Set(value.map(item => typeof item)).size > 1) {
+        throw new Error(`Invalid filter: ${path}.${operator} values must all be the same type`);
+      }
+    } else if (!isScalar(value)) {
+      throw new Error(`Invalid filter: ${path}.${operator} must be a string, number or boolean`);
+    }
+
+    return { [field]: { [operator]: value } };
+  });
+}
+
+/**
+ * Recursively normalize a metadata filter clause
+ * @param {object} where - Filter clause
+ * @param {string} path - Location used in error messages
+ * @returns {object} Normalized clause
+ */
+function normalizeWhereClause(where, path) {
+  if (!isPlainObject(where) || Object.keys(where).length === 0) {
+    throw new Error(`Invalid filter: ${path} must be a non-empty object`);
+  }
+
+  const clauses = [];
+
+  for (const [key, value] of Object.entries(where)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Invalid filter: ${path}.${key} must be a non-empty array of conditions`);
+      }
+      const nested = value.map((clause, index) => normalizeWhereClause(clause, `${path}.${key}[${index}]`));
+      clauses.push(combine(key, nested));
+    } else if (key.startsWith('$')) {
+      throw new Error(
+        `Invalid filter: unsupported operator "${key}" at ${path} ` +
+        `(supported: ${LOGICAL_OPERATORS.join(', ')})`
+      );
+    } else if (MANAGED_FIELDS.includes(key)) {
+      throw new Error(`Invalid filter: ${path}.${key} is a reserved field and cannot be filtered on`);
+    } else {
+      clauses.push(...normalizeFieldCondition(key, value, `${path}.${key}`));
+    }
+  }
+
+  return combine('$and', clauses);
+}
+
+/**
+ * Recursively normalize a document content filter clause
+ * @param {object} whereDocument - Filter clause
+ * @param {string} path - Location used in error messages
+ * @returns {object} Normalized clause
+ */
+function normalizeWhereDocumentClause(whereDocument, path) {
+  if (!isPlainObject(whereDocument) || Object.keys(whereDocument).length === 0) {
+    throw new Error(`Invalid document filter: ${path} must be a non-empty object`);
+  }
+
+  const clauses = Object.entries(whereDocument).map(([key, value]) => {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`Invalid document filter: ${path}.${key} must be a non-empty array of conditions`);
+      }
+      const nested = value.map((clause, index) => normalizeWhereDocumentClause(clause, `${path}.${key}[${index}]`));
+      return combine(key, nested);
+    }
+
+    if (!DOCUMENT_OPERATORS.includes(key)) {
+      throw new Error(
+        `Invalid document filter: unsupported operator "${key}" at ${path} ` +
+        `(supported: ${[...DOCUMENT_OPERATORS, ...LOGICAL_OPERATORS].join(', ')})`
+      );
+    }
+
+    if (typeof value !== 'string' || value.length === 0) {
+      throw new Error(`Invalid document filter: ${path}.${key} must be a non-empty string`);
+    }
+
+    return { [key]: value };
+  });
+
+  return combine('$and', clauses);
+}
+
+/**
+ * Validate and normalize a metadata filter
+ *
+ * Accepts equality shorthand (`{ category: "development" }`), comparison
+ * operators (`$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`) and
+ * logical operators (`$and`, `$or`). Multiple fields or operators at the same
+ * level are combined with `$and`, which ChromaDB requires. Reserved fields
+ * (MANAGED_FIELDS) are rejected.
+ *
+ * @param {object} [where] - Metadata filter
+ * @returns {object|undefined} Normalized filter, or undefined when empty
+ * @throws {Error} If the filter is malformed
+ */
+export function normalizeWhere(where) {
+  if (where === undefined || where === null) {
+    return undefined;
+  }
+  if (isPlainObject(where) && Object.keys(where).length === 0) {
+    return undefined;
+  }
+  return normalizeWhereClause(where, 'where');
+}
+
+/**
+ * Validate and normalize a full-text document filter
+ *
+ * A plain string is shorthand for `{ $contains: string }`.
+ *
+ * @param {string|object} [whereDocument] - Document filter
+ * @returns {object|undefined} Normalized filter, or undefined when empty
+ * @throws {Error} If the filter is malformed
+ */
+export function normalizeWhereDocument(whereDocument) {
+  if (whereDocument === undefined || whereDocument === null || whereDocument === '') {
+    return undefined;
+  }
+  if (typeof whereDocument === 'string') {
+    return { $contains: whereDocument };
+  }
+  if (isPlainObject(whereDocument) && Object.keys(whereDocument).length === 0) {
+    return undefined;
+  }
+  return normalizeWhereDocumentClause(whereDocument, 'whereDocument');
+}
+
+/**
+ * Convert a token value to a number or boolean when it looks like one
+ * @param {string} value - Raw token value
+ * @returns {string|number|boolean} Coerced value
+ */
+function coerceTokenValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+/**
+ * Convert an inline `key:value` token value to a filter condition
+ * @param {string} raw - Raw value after the colon
+ * @returns {*} Scalar value or operator object
+ */
+function parseTokenCondition(raw) {
+  const rangeMatch = raw.match(/^(>=|<=|>|<)(.+)$/);
+  if (rangeMatch) {
+    const operators = { '>=': '$gte', '<=': '$lte', '>': '$gt', '<': '$lt' };
+    return { [operators[rangeMatch[1]]]: coerceTokenValue(rangeMatch[2]) };
+  }
+  if (raw.startsWith('!') && raw.length > 1) {
+    const values = raw.slice(1).split(',').map(coerceTokenValue);
+    return values.length > 1 ? { $nin: values } : { $ne: values[0] };
+  }
+  if (raw.includes(',')) {
+    return { $in: raw.split(',').map(coerceTokenValue) };
+  }
+  return coerceTokenValue(raw);
+}
+
+/**
+ * Express a condition as an operator object so repeated keys can be merged
+ * @param {*} condition - Scalar value or operator object
+ * @returns {object} Operator object
+ */
+function toOperatorObject(condition) {
+  return isPlainObject(condition) ? condition : { $eq: condition };
+}
+
+/**
+ * Split inline filter tokens out of a list of query words
+ *
+ * Supported token forms:
+ *   key:value        equality (numbers and true/false are coerced)
+ *   key:a,b,c        value in list
+ *   key:!value       not equal (key:!a,b for not in list)
+ *   key:>=3          numeric range (>, >=, <, <=)
+ *   contains:text    document text contains "text"
+ *
+ * With `fields`, only words whose key is a known metadata field (or
+ * `contains`) are filters, so words such as "http://example.com" or
+ * "note:foo" stay in the query.
+ *
+ * @param {Array<string>} tokens - Query words
+ * @param {object} options - Parsing options
+ * @param {Set<string>} options.fields - Metadata fields that can be filtered (default: any key)
+ * @returns {{ queryTokens: Array<string>, where: (object|undefined), whereDocument: (object|undefined) }}
+ * @throws {Error} If the resulting filter is malformed
+ */
+export function parseFilterTokens(tokens, { fields } = {}) {
+  const queryTokens = [];
+  const where = {};
+  const documentClauses = [];
+
+  for (const token of tokens) {
+    const match = token.match(/^([A-Za-z_][\w.-]*):(.+)$/);
+    if (!match || (fields && match[1] !== 'contains' && !fields.has(match[1]))) {
+      queryTokens.push(token);
+      continue;
+    }
+
+    const [, key, raw] = match;
+    if (key === 'contains') {
+      documentClauses.push({ $contains: raw });
+    } else if (key in where) {
+      where[key] = { ...toOperatorObject(where[key]), ...toOperatorObject(parseTokenCondition(raw)) };
+    } else {
+      where[key] = parseTokenCondition(raw);
+    }
+  }
+
+  return {
+    queryTokens,
+    where: normalizeWhere(where),
+    whereDocument: documentClauses.length > 0
+      ? normalizeWhereDocument(combine('$and', documentClauses))
+      : undefined
+  };
+}
+
+/**
+ * Evaluate a normalized metadata filter against a metadata object locally
+ * Mirrors ChromaDB semantics for use outside the collection (e.g. keyword search)
+ * @param {object} metadata - Document metadata
+ * @param {object} [where] - Normalized metadata filter
+ * @returns {boolean} True if the metadata satisfies the filter
+ */
+export function matchesWhere(metadata = {}, where) {
+  if (!where) return true;
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+
+    // Like ChromaDB, documents without the field never match
+    const value = metadata?.[key];
+    if (value === undefined || value === null) return false;
+
+    const [operator, expected] = isPlainObject(condition)
+      ? Object.entries(condition)[0]
+      : ['$eq', condition];
+
+    switch (operator) {
+      case '$eq': return value === expected;
+      case '$ne': return value !== expected;
+      case '$gt': return typeof value === 'number' && value > expected;
+      case '$gte': return typeof value === 'number' && value >= expected;
+      case '$lt': return typeof value === 'number' && value < expected;
+      case '$lte': return typeof value === 'number' && value <= expected;
+      case '$in': return expected.includes(value);
+      case '$nin': return !expected.includes(value);
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Evaluate a normalized document filter against document text locally
+ * @param {string} text - Document text
+ * @param {object} [whereDocument] - Normalized document filter
+ * @returns {boolean} True if the text satisfies the filter
+ */
+export function matchesWhereDocument(text = '', whereDocument) {
+  if (!whereDocument) return true;
+
+  return Object.entries(whereDocument).every(([key, condition]) => {
+    switch (key) {
+      case '$and': return condition.every(clause => matchesWhereDocument(text, clause));
+      case '$or': return condition.some(clause => matchesWhereDocument(text, clause));
+      case '$contains': return text.includes(condition);
+      case '$not_contains': return !text.includes(condition);
+      default: return false;
+    }
+  });
+}
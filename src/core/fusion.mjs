@@ -0,0 +1,90 @@
+/**
+ * Rank fusion for hybrid keyword + vector search
+ */
+
+export const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+/**
+ * Validate and fill in search mode options
+ * @param {object} options - Mode options
+ * @param {string} options.mode - 'vector' (default), 'keyword' or 'hybrid'
+ * @param {string} options.fusion - 'rrf' (reciprocal rank fusion, default) or 'weighted'
+ * @param {number} options.alpha - Vector weight between 0 and 1 for both methods (default 0.5)
+ * @param {number} options.rrfK - Reciprocal rank fusion constant (default 60)
+ * @returns {object} Resolved options
+ * @throws {Error} If an option is invalid
+ */
+export function resolveMode({ mode = 'vector', fusion = 'rrf', alpha = 0.5, rrfK = 60 } = {}) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new Error(`fusion must be one of: ${FUSION_METHODS.join(', ')}`);
+  }
+  if (typeof alpha !== 'number' || alpha < 0 || alpha > 1) {
+    throw new Error('alpha must be a number between 0 and 1');
+  }
+  if (typeof rrfK !== 'number' || rrfK <= 0) {
+    throw new Error('rrfK must be a positive number');
+  }
+  return { mode, fusion, alpha, rrfK };
+}
+
+/**
+ * Fuse vector and keyword rankings into one list
+ *
+ * Each candidate carries its vector distance and/or keyword score. The
+ * 'rrf' method sums alpha / (k + vectorRank) and (1 - alpha) / (k + keywordRank);
+ * 'weighted' blends min-max normalized vector similarity and keyword score.
+ * Candidates missing from one ranking contribute nothing for it.
+ *
+ * @param {Array<object>} candidates - Items with id, distance (or null) and keywordScore (or null)
+ * @param {object} options - Options from resolveMode
+ * @returns {Array<object>} Candidates with a `scores` breakdown, best first
+ */
+export function fuseRankings(candidates, { fusion, alpha, rrfK }) {
+  const byDistance = candidates
+    .filter(candidate => candidate.distance !== null)
+    .sort((a, b) => a.distance - b.distance);
+  const byKeyword = candidates
+    .filter(candidate => candidate.keywordScore !== null)
+    .sort((a, b) => b.keywordScore - a.keywordScore);
+
+  const vectorRank = new Map(byDistance.map((candidate, index) => [candidate.id, index + 1]));
+  const keywordRank = new Map(byKeyword.map((candidate, index) => [candidate.id, index + 1]));
+
+  const distances = byDistance.map(candidate => candidate.distance);
+  const minDistance = Math.min(...distances);
+  const distanceRange = Math.max(...distances) - minDistance;
+  const maxKeyword = byKeyword[0]?.keywordScore || 1;
+
+  return candidates
+    .map(candidate => {
+      const vRank = vectorRank.get(candidate.id) ?? null;
+      const kRank = keywordRank.get(candidate.id) ?? null;
+
+      let fused;
+      if (fusion === 'weighted') {
+        const vectorSimilarity = candidate.distance === null
+          ? 0
+          : distanceRange > 0 ? 1 - (candidate.distance - minDistance) / distanceRange : 1;
+        const keywordSimilarity = candidate.keywordScore === null ? 0 : candidate.keywordScore / maxKeyword;
+        fused = alpha * vectorSimilarity + (1 - alpha) * keywordSimilarity;
+      } else {
+        fused = (vRank ? alpha / (rrfK + vRank) : 0) + (kRank ? (1 - alpha) / (rrfK + kRank) : 0);
+      }
+
+      return {
+        ...candidate,
+        scores: {
+          vector: candidate.distance,
+          vectorRank: vRank,
+          keyword: candidate.keywordScore === null ? null : parseFloat(candidate.keywordScore.toFixed(4)),
+          keywordRank: kRank,
+          fused: parseFloat(fused.toFixed(6))
+        }
+      };
+    })
+    .sort((a, b) => b.scores.fused - a.scores.fused);
+}
@@ -0,0 +1,78 @@
+/**
+ * Parent-document aggregation for chunked search results
+ * Groups chunk hits by a parent id metadata field and scores each parent
+ */
+
+export const GROUP_SCORES = ['max', 'mean'];
+
+/**
+ * Validate and fill in grouping options
+ * @param {object} options - Grouping options
+ * @param {string} options.groupBy - Metadata field holding the parent id
+ * @param {string} options.groupScore - 'max' (best chunk) or 'mean' (mean of top-n chunks)
+ * @param {number} options.groupTopN - Chunks averaged by 'mean' scoring
+ * @param {number} options.snippetsPerGroup - Chunks returned under each parent
+ * @returns {object|null} Resolved options, or null when grouping is off
+ * @throws {Error} If an option is invalid
+ */
+export function resolveGrouping({ groupBy, groupScore = 'max', groupTopN = 3, snippetsPerGroup = 3 } = {}) {
+  if (!groupBy) {
+    return null;
+  }
+  if (typeof groupBy !== 'string') {
+    throw new Error('groupBy must be a metadata field name');
+  }
+  if (!GROUP_SCORES.includes(groupScore)) {
+    throw new Error(`groupScore must be one of: ${GROUP_SCORES.join(', ')}`);
+  }
+  if (!Number.isInteger(groupTopN) || groupTopN < 1) {
+    throw new Error('groupTopN must be a positive integer');
+  }
+  if (!Number.isInteger(snippetsPerGroup) || snippetsPerGroup < 1) {
+    throw new Error('snippetsPerGroup must be a positive integer');
+  }
+  return { groupBy, groupScore, groupTopN, snippetsPerGroup };
+}
+
+/**
+ * Group chunk hits by parent and rank parents
+ *
+ * Hits must be sorted by ascending distance. A parent's distance is its best
+ * chunk's distance ('max' relevance) or the mean of its best `groupTopN`
+ * chunk distances ('mean'). Hits without the groupBy field are their own parent.
+ *
+ * @param {Array<object>} hits - Formatted hits with id, text, metadata and distance
+ * @param {number} limit - Number of parents to return
+ * @param {object} grouping - Options from resolveGrouping
+ * @returns {Array<object>} Parent results with snippets, best first
+ */
+export function groupResults(hits, limit, { groupBy, groupScore, groupTopN, snippetsPerGroup }) {
+  const groups = new Map();
+
+  for (const hit of hits) {
+    const parentId = String(hit.metadata?.[groupBy] ?? hit.id);
+    if (!groups.has(parentId)) {
+      groups.set(parentId, []);
+    }
+    groups.get(parentId).push(hit);
+  }
+
+  const parents = [...groups.entries()].map(([parentId, chunks]) => {
+    const scored = groupScore === 'mean' ? chunks.slice(0, groupTopN) : chunks.slice(0, 1);
+    const distance = scored.reduce((sum, chunk) => sum + chunk.distance, 0) / scored.length;
+    const best = chunks[0];
+
+    return {
+      id: parentId,
+      text: best.text,
+      metadata: best.metadata,
+      distance: parseFloat(distance.toFixed(4)),
+      hitCount: chunks.length,
+      snippets: chunks.slice(0, snippetsPerGroup)
+    };
+  });
+
+  return parents
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
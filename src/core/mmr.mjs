@@ -0,0 +1,90 @@
+/**
+ * Maximal Marginal Relevance re-ranking
+ * Trades relevance to the query against novelty relative to results already picked
+ */
+
+import { cosineSimilarity } from '../utils/vectorMath.mjs';
+
+/**
+ * Validate and fill in diversification options
+ * @param {object} options - Diversification options
+ * @param {boolean} options.mmr - Enable MMR re-ranking
+ * @param {number} options.mmrLambda - Relevance weight between 0 (max diversity) and 1 (pure relevance), default 0.5
+ * @returns {object|null} Resolved options, or null when MMR is off
+ * @throws {Error} If an option is invalid
+ */
+export function resolveMMR({ mmr = false, mmrLambda = 0.5 } = {}) {
+  if (typeof mmr !== 'boolean') {
+    throw new Error('mmr must be a boolean');
+  }
+  if (!mmr) {
+    return null;
+  }
+  if (typeof mmrLambda !== 'number' || mmrLambda < 0 || mmrLambda > 1) {
+    throw new Error('mmrLambda must be a number between 0 and 1');
+  }
+  return { lambda: mmrLambda };
+}
+
+/**
+ * Greedily pick a diverse subset of candidates
+ *
+ * Each step picks the candidate maximizing
+ *   lambda * sim(query, d) - (1 - lambda) * max sim(d, picked)
+ * using cosine similarity of embeddings. Picked results carry an `mmr`
+ * breakdown of their relevance and diversity contributions.
+ *
+ * @param {Array<object>} candidates - Hits with an `embedding`, in retrieval order
+ * @param {Array<number>} queryEmbedding - Embedded query
+ * @param {number} limit - Number of results to pick
+ * @param {number} lambda - Relevance weight from resolveMMR
+ * @returns {Array<object>} Picked hits in selection order
+ */
+export function maximalMarginalRelevance(candidates, queryEmbedding, limit, lambda) {
+  const remaining = candidates.map((candidate, index) => ({
+    candidate,
+    originalRank: index + 1,
+    relevance: cosineSimilarity(queryEmbedding, candidate.embedding),
+    redundancy: 0
+  }));
+  const picked = [];
+
+  while (picked.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((entry, index) => {
+      const score = lambda * entry.relevance - (1 - lambda) * entry.redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    picked.push({
+      ...best.candidate,
+      mmr: {
+        score: round(bestScore),
+        relevance: round(lambda * best.relevance),
+        diversityPenalty: round((1 - lambda) * best.redundancy),
+        similarityToPicked: round(best.redundancy),
+        originalRank: best.originalRank
+      }
+    });
+
+    for (const entry of remaining) {
+      entry.redundancy = Math.max(entry.redundancy, cosineSimilarity(entry.candidate.embedding, best.candidate.embedding));
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Round a score for display
+ * @param {number} value - Score
+ * @returns {number} Score rounded to 4 decimals
+ */
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
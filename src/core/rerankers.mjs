@@ -0,0 +1,211 @@
+/**
+ * Re-ranking stages applied after retrieval
+ *
+ * Each candidate starts from its normalized 0-1 vector similarity and every
+ * stage in the pipeline re-scores it.
+ * Candidates are then sorted by their final score.
+ */
+
+import { normalizeWhere, matchesWhere } from './filters.mjs';
+import { tokenize } from './KeywordIndex.mjs';
+
+export const RERANKER_TYPES = ['lexical', 'metadata', 'cross-encoder'];
+
+/**
+ * Base re-ranking stage
+ * Extend this class to add rerankers
+ */
+export class Reranker {
+  /**
+   * @param {string} type - Stage type reported in result breakdowns
+   */
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * Re-score candidates
+   * @param {string} query - Search query text
+   * @param {Array<object>} candidates - Hits with id, text and metadata
+   * @param {Array<number>} scores - Current score of each candidate
+   * @returns {Promise<Array<number>>} New score of each candidate
+   */
+  async score(query, candidates, scores) {
+    throw new Error('Reranker.score() must be implemented by subclass');
+  }
+}
+
+/**
+ * Blend in the fraction of query terms that appear in the document text
+ */
+export class LexicalReranker extends Reranker {
+  /**
+   * @param {object} options - Stage options
+   * @param {number} options.weight - Weight of term overlap, 0-1 (default 0.3)
+   */
+  constructor({ weight = 0.3 } = {}) {
+    super('lexical');
+    this.weight = weight;
+  }
+
+  async score(query, candidates, scores) {
+    const queryTerms = new Set(tokenize(query));
+    if (queryTerms.size === 0) return scores;
+
+    return candidates.map((candidate, index) => {
+      const documentTerms = new Set(tokenize(candidate.text));
+      const overlap = [...queryTerms].filter(term => documentTerms.has(term)).length / queryTerms.size;
+      return (1 - this.weight) * scores[index] + this.weight * overlap;
+    });
+  }
+}
+
+/**
+ * Add fixed boosts to candidates whose metadata matches a filter
+ * e.g. { where: { experience: 'senior' }, weight: 0.2 } prefers senior profiles
+ */
+export class MetadataBoostReranker extends Reranker {
+  /**
+   * @param {object} options - Stage options
+   * @param {Array<{where: object, weight: number}>} options.boosts - Filters and the score added on a match
+   */
+  constructor({ boosts = [] } = {}) {
+    super('metadata');
+    this.boosts = boosts.map(boost => ({ where: normalizeWhere(boost.where), weight: boost.weight }));
+  }
+
+  async score(query, candidates, scores) {
+    return candidates.map((candidate, index) => this.boosts.reduce(
+      (score, boost) => matchesWhere(candidate.metadata || {}, boost.where) ? score + boost.weight : score,
+      scores[index]
+    ));
+  }
+}
+
+/**
+ * Score query / document pairs with a cross-encoder behind a local HTTP endpoint
+ * Speaks the common rerank API used by llama.cpp, Text Embeddings Inference and
+ * others: POST { model, query, documents } returning
+ * { results: [{ index, relevance_score }] } or [{ index, score }].
+ */
+export class CrossEncoderReranker extends Reranker {
+  /**
+   * @param {object} options - Stage options
+   * @param {string} options.url - Rerank endpoint, e.g. 'http://localhost:8080/v1/rerank'
+   * @param {string} options.model - Model name sent with the request
+   * @param {number} options.weight - Weight of the cross-encoder score, 0-1 (default 1, replacing the score)
+   * @param {number} options.timeout - Request timeout in ms (default 10000)
+   */
+  constructor({ url, model, weight = 1, timeout = 10000 }) {
+    super('cross-encoder');
+    this.url = url;
+    this.model = model;
+    this.weight = weight;
+    this.timeout = timeout;
+  }
+
+  async score(query, candidates, scores) {
+    if (candidates.length === 0) return scores;
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model: this.model, query, documents: candidates.map(candidate => candidate.text) }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Rerank request to ${this.url} failed with status ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const results = Array.isArray(data) ? data : data.results;
+    if (!Array.isArray(results)) {
+      throw new Error(`Rerank response from ${this.url} has no results`);
+    }
+
+    const relevance = new Map(results.map(result => [result.index, result.relevance_score ?? result.score]));
+    return scores.map((score, index) => relevance.has(index)
+      ? (1 - this.weight) * score + this.weight * relevance.get(index)
+      : score);
+  }
+}
+
+/**
+ * Build a re-ranking pipeline from stage specifications
+ * @param {Array<string|object>} specs - Stage types or { type, ...options } objects
+ * @returns {Array<Reranker>} Stages in order
+ * @throws {Error} If a stage is unknown or misconfigured
+ */
+export function resolveRerankers(specs = []) {
+  if (!Array.isArray(specs)) {
+    throw new Error('rerank must be an array of stages');
+  }
+
+  return specs.map(spec => {
+    const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec || {};
+    if (options.weight !== undefined && typeof options.weight !== 'number') {
+      throw new Error(`${type} reranker weight must be a number`);
+    }
+
+    switch (type) {
+      case 'lexical':
+        return new LexicalReranker(options);
+      case 'metadata':
+        if (!Array.isArray(options.boosts) || options.boosts.some(boost => typeof boost?.weight !== 'number')) {
+          throw new Error('metadata reranker requires boosts: [{ where, weight }]');
+        }
+        return new MetadataBoostReranker(options);
+      case 'cross-encoder':
+        if (!options.url) {
+          throw new Error('cross-encoder reranker requires a url');
+        }
+        return new CrossEncoderReranker(options);
+      default:
+        throw new Error(`Unknown reranker "${type}". Available rerankers: ${RERANKER_TYPES.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Run candidates through a re-ranking pipeline
+ * @param {string} query - Search query text
+ * @param {Array<object>} candidates - Hits with id, text, metadata, distance and similarity, in retrieval order
+ * @param {Array<Reranker>} rerankers - Stages from resolveRerankers
+ * @returns {Promise<Array<object>>} Hits with `score` and a `rerank` breakdown, best first
+ */
+export async function rerank(query, candidates, rerankers) {
+  let scores = candidates.map(candidate => candidate.similarity ?? 0);
+  const initialScores = scores;
+  const stages = candidates.map(() => ({}));
+
+  for (const reranker of rerankers) {
+    scores = await reranker.score(query, candidates, scores);
+    scores.forEach((score, index) => {
+      stages[index][reranker.type] = round(score);
+    });
+  }
+
+  return candidates
+    .map((candidate, index) => ({
+      ...candidate,
+      score: round(scores[index]),
+      rerank: {
+        originalRank: index + 1,
+        originalDistance: candidate.distance,
+        initialScore: round(initialScores[index]),
+        stages: stages[index]
+      }
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Round a score for display
+ * @param {number} value - Score
+ * @returns {number} Score rounded to 4 decimals
+ */
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
@@ -0,0 +1,57 @@
+/**
+ * Minimum-score thresholds for search results
+ * Drops weak results so callers can tell "no suitable match" from a poor one
+ */
+
+import { QUALITY_LEVELS, meetsQuality } from '../config.mjs';
+
+/**
+ * Validate threshold options
+ * @param {object} options - Threshold options
+ * @param {string} options.minQuality - Worst acceptable quality: 'excellent', 'good', 'weak' or 'poor'
+ * @param {number} options.maxDistance - Largest acceptable distance
+ * @returns {object|null} Resolved threshold, or null when neither option is set
+ * @throws {Error} If an option is invalid
+ */
+export function resolveThreshold({ minQuality, maxDistance } = {}) {
+  if (minQuality === undefined && maxDistance === undefined) {
+    return null;
+  }
+  if (minQuality !== undefined && !QUALITY_LEVELS.includes(minQuality)) {
+    throw new Error(`minQuality must be one of: ${QUALITY_LEVELS.join(', ')}`);
+  }
+  if (maxDistance !== undefined && (typeof maxDistance !== 'number' || !Number.isFinite(maxDistance) || maxDistance < 0)) {
+    throw new Error('maxDistance must be a non-negative number');
+  }
+  return { minQuality: minQuality ?? null, maxDistance: maxDistance ?? null };
+}
+
+/**
+ * Split results into those that meet a threshold and those that do not
+ * Results without a distance (nothing to judge them by) are rejected.
+ * @param {Array<object>} results - Hits with distance and quality
+ * @param {object} threshold - Threshold from resolveThreshold
+ * @returns {{accepted: Array<object>, report: object}} Accepted hits in their original order,
+ *   and a report with `met`, the rejected count and the closest rejected hit
+ */
+export function applyThreshold(results, threshold) {
+  const passes = hit => hit.distance !== null && hit.distance !== undefined &&
+    (threshold.minQuality === null || meetsQuality(hit.quality, threshold.minQuality)) &&
+    (threshold.maxDistance === null || hit.distance <= threshold.maxDistance);
+
+  const accepted = results.filter(passes);
+  const rejected = results.filter(hit => !passes(hit));
+  const bestRejected = rejected
+    .filter(hit => hit.distance !== null && hit.distance !== undefined)
+    .reduce((best, hit) => !best || hit.distance < best.distance ? hit : best, null);
+
+  return {
+    accepted,
+    report: {
+      ...threshold,
+      met: accepted.length > 0,
+      rejectedCount: rejected.length,
+      bestRejected
+    }
+  };
+}
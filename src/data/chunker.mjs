@@ -0,0 +1,295 @@
+/**
+ * Text extraction and chunking utilities for document loaders
+ * Strips Markdown / HTML markup and splits long documents into overlapping chunks
+ */
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode common HTML entities
+ * @param {string} text - Text containing entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Remove inline Markdown formatting from a line
+ * @param {string} line - Markdown line
+ * @returns {string} Plain text line
+ */
+function stripInlineMarkdown(line) {
+  return line
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')       // images -> alt text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')        // links -> link text
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')       // reference links
+    .replace(/<[^>]+>/g, '')                        // inline HTML
+    .replace(/`([^`]+)`/g, '$1')                    // inline code
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')             // bold
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2') // italics
+    .replace(/~~(.+?)~~/g, '$1');                   // strikethrough
+}
+
+/**
+ * Convert Markdown-like text to plain text, recording heading positions
+ * @param {string} source - Source text using `#` headings
+ * @param {object} options - Options
+ * @param {boolean} options.inline - Strip inline Markdown formatting
+ * @returns {{ text: string, headings: Array<{offset: number, level: number, title: string}> }}
+ */
+function extractLines(source, { inline }) {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const output = [];
+  const headings = [];
+  let length = 0;
+  let inFence = false;
+
+  const push = (line) => {
+    output.push(line);
+    length += line.length + 1;
+  };
+
+  // Skip YAML front matter
+  let start = 0;
+  if (lines[0]?.trim() === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end !== -1) start = end + 1;
+  }
+
+  for (let i = start; i < lines.length; i++) {
+    let line = lines[i];
+
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) {
+      push(line);
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const title = inline ? stripInlineMarkdown(heading[2]) : heading[2];
+      headings.push({ offset: length, level: heading[1].length, title });
+      push(title);
+      continue;
+    }
+
+    // Setext-style headings underline the previous line
+    if (inline && /^\s*(=+|-+)\s*$/.test(line) && output.length > 0 && output[output.length - 1].trim()) {
+      const title = output[output.length - 1];
+      headings.push({ offset: length - title.length - 1, level: line.includes('=') ? 1 : 2, title });
+      continue;
+    }
+
+    if (inline) {
+      line = stripInlineMarkdown(line
+        .replace(/^\s{0,3}>\s?/, '')               // blockquotes
+        .replace(/^\s*([-*+]|\d+[.)])\s+/, '')     // list markers
+        .replace(/^\s*([-*_]\s*){3,}$/, ''));      // horizontal rules
+    }
+    push(line);
+  }
+
+  return { text: output.join('\n'), headings };
+}
+
+/**
+ * Convert HTML to Markdown-style text with `#` headings and blank-line paragraphs
+ * @param {string} html - HTML source
+ * @returns {string} Text ready for line extraction
+ */
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, title) =>
+      `\n\n${'#'.repeat(Number(level))} ${title.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim()}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|ul|ol|li|table|tr|blockquote|pre|dl|dt|dd|figure|figcaption)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/[ \t]+/g, ' '))
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract plain text and headings from a document
+ * @param {string} content - Raw file content
+ * @param {string} format - 'markdown', 'html' or 'text'
+ * @returns {{ text: string, headings: Array<{offset: number, level: number, title: string}> }}
+ */
+export function extractText(content, format) {
+  switch (format) {
+    case 'markdown':
+      return extractLines(content, { inline: true });
+    case 'html':
+      return extractLines(htmlToText(content), { inline: false });
+    default:
+      return { text: content.replace(/\r\n?/g, '\n'), headings: [] };
+  }
+}
+
+/**
+ * Split text into paragraph ranges separated by blank lines
+ * @param {string} text - Plain text
+ * @returns {Array<{start: number, end: number}>} Character ranges
+ */
+function paragraphRanges(text) {
+  const ranges = [];
+  const pattern = /\n\s*\n/g;
+  let start = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (text.slice(start, match.index).trim()) {
+      ranges.push({ start, end: match.index });
+    }
+    start = match.index + match[0].length;
+  }
+  if (text.slice(start).trim()) {
+    ranges.push({ start, end: text.length });
+  }
+
+  return ranges;
+}
+
+/**
+ * Split text into overlapping chunks
+ *
+ * Strategies:
+ *   heading   - Break at every heading; sections over the budget are packed by paragraph
+ *   paragraph - Pack whole paragraphs up to the token budget
+ *   token     - Fixed windows of the token budget
+ *
+ * Tokens are approximated by whitespace-separated words.
+ *
+ * @param {string} text - Plain text
+ * @param {Array<{offset: number, title: string}>} headings - Heading positions from extractText
+ * @param {object} options - Chunking options
+ * @param {string} options.strategy - 'heading', 'paragraph' or 'token' (default 'heading')
+ * @param {number} options.maxTokens - Maximum tokens per chunk, excluding overlap (default 256)
+ * @param {number} options.overlap - Tokens repeated from the previous chunk (default 32)
+ * @returns {Array<{text: string, offset: number, heading: string}>} Chunks in document order
+ */
+export function chunkText(text, headings = [], { strategy = 'heading', maxTokens = 256, overlap = 32 } = {}) {
+  const words = [...text.matchAll(/\S+/g)].map(match => ({ start: match.index, end: match.index + match[0].length }));
+  if (words.length === 0) {
+    return [];
+  }
+
+  const budget = Math.max(1, maxTokens);
+  const overlapWords = Math.max(0, Math.min(overlap, budget - 1));
+
+  // Index of the first word at or after a character offset
+  const wordAt = (offset) => {
+    let low = 0;
+    let high = words.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (words[mid].end <= offset) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  // Groups are word ranges that chunks (and overlap) never cross
+  const boundaries = strategy === 'heading'
+    ? [...new Set([0, ...headings.map(heading => wordAt(heading.offset))])].filter(index => index < words.length).sort((a, b) => a - b)
+    : [0];
+  const groups = boundaries.map((start, index) => ({ start, end: boundaries[index + 1] ?? words.length }));
+
+  // Paragraphs are packed whole where possible; a heading stays with the paragraph after it
+  const headingStarts = new Set(headings.map(heading => wordAt(heading.offset)));
+  const paragraphStarts = new Set();
+  let previousWasHeading = false;
+  for (const range of paragraphRanges(text)) {
+    const start = wordAt(range.start);
+    if (!previousWasHeading) paragraphStarts.add(start);
+    previousWasHeading = headingStarts.has(start);
+  }
+
+  const ranges = [];
+  for (const group of groups) {
+    const atoms = [];
+    if (strategy === 'token') {
+      atoms.push({ start: group.start, end: group.end });
+    } else {
+      let atomStart = group.start;
+      for (let i = group.start + 1; i <= group.end; i++) {
+        if (i === group.end || paragraphStarts.has(i)) {
+          atoms.push({ start: atomStart, end: i });
+          atomStart = i;
+        }
+      }
+    }
+
+    let current = null;
+    const close = () => {
+      ranges.push({ ...current, groupStart: group.start });
+      current = null;
+    };
+
+    for (const atom of atoms) {
+      let position = atom.start;
+      while (position < atom.end) {
+        if (!current) current = { start: position, end: position };
+
+        const room = budget - (current.end - current.start);
+        const remaining = atom.end - position;
+
+        if (remaining <= room) {
+          current.end = atom.end;
+          position = atom.end;
+        } else if (remaining > budget && room > 0) {
+          // Too long for any chunk: fill this one and continue in the next
+          current.end = position + room;
+          position += room;
+          close();
+        } else {
+          close();
+        }
+      }
+    }
+    if (current) close();
+  }
+
+  const headingFor = (offset) => {
+    let title = '';
+    for (const heading of headings) {
+      if (heading.offset > offset) break;
+      title = heading.title;
+    }
+    return title;
+  };
+
+  return ranges.map(range => {
+    const overlapStart = strategy === 'heading'
+      ? Math.max(range.groupStart, range.start - overlapWords)
+      : Math.max(0, range.start - overlapWords);
+    const offset = words[range.start].start;
+
+    return {
+      text: text.slice(words[overlapStart].start, words[range.end - 1].end),
+      offset,
+      heading: headingFor(offset)
+    };
+  });
+}
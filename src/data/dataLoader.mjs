@@ -3,7 +3,12 @@
  * Provides pluggable data source management
  */
 
+import { createHash } from 'crypto';
+import { extname, relative, resolve, join, sep } from 'path';
 import { logger } from '../utils/logger.mjs';
+import { parseDelimited } from '../utils/csv.mjs';
+import { matchesAny } from '../utils/glob.mjs';
+import { extractText, chunkText } from './chunker.mjs';
 
 /**
  * Default sample data for demonstration
@@ -70,6 +75,25 @@ export class DataLoader {
     throw new Error('DataLoader.load() must be implemented by subclass');
   }
 
+  /**
+   * Stream data items one at a time
+   * Override for sources too large to hold in memory; the default yields
+   * everything returned by load()
+   * @returns {AsyncGenerator<object>} Data items with id, text, and metadata
+   */
+  async *stream() {
+    yield* await this.load();
+  }
+
+  /**
+   * Identify the data source for ingest checkpoints
+   * Return null (the default) when progress cannot be resumed reliably
+   * @returns {Promise<string|null>} Stable identifier for the current source contents
+   */
+  async sourceId() {
+    return null;
+  }
+
   /**
    * Validate data format
    * @param {Array} data - Data to validate
@@ -82,16 +106,9 @@ export class DataLoader {
     }
 
     for (const [index, item] of data.entries()) {
-      if (!item.id || typeof item.id !== 'string') {
-        logger.error(`Item at index ${index} missing valid 'id' field`);
-        return false;
-      }
-      if (!item.text || typeof item.text !== 'string') {
-        logger.error(`Item at index ${index} missing valid 'text' field`);
-        return false;
-      }
-      if (item.metadata && typeof item.metadata !== 'object') {
-        logger.error(`Item at index ${index} has invalid 'metadata' field`);
+      const error = validateItem(item, index);
+      if (error) {
+        logger.error(error);
         return false;
       }
     }
@@ -100,6 +117,41 @@ export class DataLoader {
   }
 }
 
+/**
+ * Validate a single data item
+ * @param {object} item - Item with id, text, and optional metadata
+ * @param {number} index - Position of the item, used in the error message
+ * @returns {string|null} Error message, or null if the item is valid
+ */
+export function validateItem(item, index) {
+  if (!item || typeof item !== 'object') {
+    return `Item at index ${index} must be an object`;
+  }
+  if (!item.id || typeof item.id !== 'string') {
+    return `Item at index ${index} missing valid 'id' field`;
+  }
+  if (!item.text || typeof item.text !== 'string') {
+    return `Item at index ${index} missing valid 'text' field`;
+  }
+  if (item.metadata && (typeof item.metadata !== 'object' || Array.isArray(item.metadata))) {
+    return `Item at index ${index} has invalid 'metadata' field`;
+  }
+  return null;
+}
+
+/**
+ * Describe a file for use as a checkpoint source id
+ * Includes size and modification time so an edited file starts a fresh ingest
+ * @param {string} type - Loader type
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Source identifier
+ */
+async function describeFile(type, filePath) {
+  const { stat } = await import('fs/promises');
+  const stats = await stat(filePath);
+  return `${type}:${resolve(filePath)}:${stats.size}:${Math.floor(stats.mtimeMs)}`;
+}
+
 /**
  * Default sample data loader
  * Uses built-in sample data for demonstration
@@ -118,6 +170,16 @@ export class SampleDataLoader extends DataLoader {
   }
 }
 
+/**
+ * Data loader with no source
+ * For collections whose documents are only added through the API or CLI
+ */
+export class EmptyDataLoader extends DataLoader {
+  async load() {
+    return [];
+  }
+}
+
 /**
  * JSON file data loader
  * Loads data from a JSON file
@@ -146,11 +208,448 @@ export class JSONDataLoader extends DataLoader {
       throw error;
     }
   }
+
+  async sourceId() {
+    return describeFile('json', this.filePath);
+  }
+}
+
+/**
+ * JSON Lines file data loader
+ * Streams one `{id, text, metadata}` object per line, so files far larger
+ * than memory can be ingested
+ */
+export class JSONLDataLoader extends DataLoader {
+  /**
+   * @param {string} filePath - Path to the JSONL file
+   * @param {object} options - Loader options
+   * @param {boolean} options.strict - Fail on the first invalid line instead of skipping it
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.strict = options.strict ?? false;
+    this.report = null;
+  }
+
+  async *stream() {
+    logger.info(`Streaming data from JSONL file: ${this.filePath}`);
+
+    const { createReadStream } = await import('fs');
+    const { createInterface } = await import('readline');
+    const lines = createInterface({
+      input: createReadStream(this.filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    const report = { rows: 0, loaded: 0, skipped: [] };
+    this.report = report;
+    let lineNumber = 0;
+
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') continue;
+        report.rows++;
+
+        let item;
+        let error;
+        try {
+          item = JSON.parse(line);
+          error = validateItem(item, report.rows - 1);
+        } catch (parseError) {
+          error = `invalid JSON (${parseError.message})`;
+        }
+
+        if (error) {
+          const message = `Line ${lineNumber}: ${error}`;
+          if (this.strict) {
+            throw new Error(`Invalid line in ${this.filePath}: ${message}`);
+          }
+          logger.warn(`Skipping line in ${this.filePath}: ${message}`);
+          report.skipped.push({ line: lineNumber, error });
+          continue;
+        }
+
+        report.loaded++;
+        yield item;
+      }
+    } catch (error) {
+      logger.error(`Failed to stream JSONL data: ${error.message}`);
+      throw error;
+    } finally {
+      lines.close();
+    }
+
+    if (report.skipped.length > 0) {
+      logger.warn(`Skipped ${report.skipped.length} invalid lines`, { lines: report.skipped.map(row => row.line) });
+    }
+    logger.info(`Streamed ${report.loaded} items from JSONL file`);
+  }
+
+  async load() {
+    const data = [];
+    for await (const item of this.stream()) {
+      data.push(item);
+    }
+    return data;
+  }
+
+  async sourceId() {
+    return describeFile('jsonl', this.filePath);
+  }
+}
+
+/**
+ * Convert a raw cell value to a metadata value of the given type
+ * @param {string} raw - Raw cell value
+ * @param {string} type - Target type ('string', 'number', 'integer', 'boolean', 'list')
+ * @param {string} listSeparator - Separator used for 'list' values
+ * @returns {*} Coerced value, or undefined for empty cells
+ * @throws {Error} If the value cannot be coerced
+ */
+function coerceValue(raw, type, listSeparator) {
+  const value = raw.trim();
+  if (value === '') {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'string':
+      return value;
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new Error(`"${value}" is not a number`);
+      return number;
+    }
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isInteger(number)) throw new Error(`"${value}" is not an integer`);
+      return number;
+    }
+    case 'boolean': {
+      const lower = value.toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(lower)) return true;
+      if (['false', 'no', 'n', '0'].includes(lower)) return false;
+      throw new Error(`"${value}" is not a boolean`);
+    }
+    case 'list':
+      return value.split(listSeparator).map(part => part.trim()).filter(Boolean);
+    default:
+      throw new Error(`Unknown metadata type "${type}"`);
+  }
+}
+
+/**
+ * CSV / TSV file data loader
+ * Maps spreadsheet columns to id, text, and typed metadata
+ *
+ * Mapping options:
+ *   id:           column holding the document id (default 'id')
+ *   text:         column, or array of columns joined with spaces (default 'text')
+ *   textTemplate: template such as '{title}: {summary}' (overrides text)
+ *   metadata:     array of column names (kept as strings), or an object of
+ *                 { key: type } / { key: { column, type } } where type is
+ *                 'string', 'number', 'integer', 'boolean' or 'list'.
+ *                 Defaults to every other column as a string.
+ */
+export class CSVDataLoader extends DataLoader {
+  /**
+   * @param {string} filePath - Path to the CSV / TSV file
+   * @param {object} options - Loader options
+   * @param {string} options.delimiter - Field delimiter (default: tab for .tsv files, else comma)
+   * @param {object} options.mapping - Column mapping (see class description)
+   * @param {boolean} options.strict - Fail on the first invalid row instead of skipping it
+   * @param {string} options.listSeparator - Separator for 'list' metadata (default ';')
+   */
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.delimiter = options.delimiter || (extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',');
+    this.mapping = options.mapping || {};
+    this.strict = options.strict ?? false;
+    this.listSeparator = options.listSeparator || ';';
+    this.report = null;
+  }
+
+  /**
+   * Resolve the metadata mapping into a list of { key, column, type }
+   * @param {Array<string>} headers - Header row
+   * @param {string} idColumn - Column used for the id
+   * @param {Array<string>} textColumns - Columns used for the text
+   * @returns {Array<object>} Metadata field definitions
+   */
+  resolveMetadataFields(headers, idColumn, textColumns) {
+    const { metadata } = this.mapping;
+
+    if (!metadata) {
+      return headers
+        .filter(header => header !== idColumn && !textColumns.includes(header))
+        .map(header => ({ key: header, column: header, type: 'string' }));
+    }
+
+    if (Array.isArray(metadata)) {
+      return metadata.map(column => ({ key: column, column, type: 'string' }));
+    }
+
+    return Object.entries(metadata).map(([key, definition]) => (
+      typeof definition === 'string'
+        ? { key, column: key, type: definition }
+        : { key, column: definition.column || key, type: definition.type || 'string' }
+    ));
+  }
+
+  /**
+   * Build the document text for a row
+   * @param {object} row - Row values keyed by column
+   * @param {Array<string>} textColumns - Columns used for the text
+   * @returns {string} Document text
+   */
+  buildText(row, textColumns) {
+    if (this.mapping.textTemplate) {
+      // A template filled only with blanks is treated as missing text
+      if (textColumns.every(column => !(row[column] ?? '').trim())) {
+        return '';
+      }
+      return this.mapping.textTemplate
+        .replace(/\{([^}]+)\}/g, (_, column) => (row[column.trim()] ?? '').trim())
+        .trim();
+    }
+    return textColumns
+      .map(column => (row[column] ?? '').trim())
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  async load() {
+    logger.info(`Loading data from delimited file: ${this.filePath}`);
+
+    try {
+      const { readFile } = await import('fs/promises');
+      const content = await readFile(this.filePath, 'utf8');
+      const [header, ...records] = parseDelimited(content, { delimiter: this.delimiter });
+
+      if (!header) {
+        throw new Error('File is empty; a header row is required');
+      }
+
+      const headers = header.fields.map(field => field.trim());
+      const idColumn = this.mapping.id || 'id';
+      const templateColumns = [...(this.mapping.textTemplate || '').matchAll(/\{([^}]+)\}/g)].map(m => m[1].trim());
+      const textColumns = this.mapping.textTemplate
+        ? templateColumns
+        : [].concat(this.mapping.text || 'text');
+      const metadataFields = this.resolveMetadataFields(headers, idColumn, textColumns);
+
+      const missing = [idColumn, ...textColumns, ...metadataFields.map(field => field.column)]
+        .filter(column => !headers.includes(column));
+      if (missing.length > 0) {
+        throw new Error(`Columns not found in header: ${[...new Set(missing)].join(', ')}`);
+      }
+
+      const data = [];
+      const skipped = [];
+
+      for (const record of records) {
+        let error = null;
+        let item = null;
+
+        if (record.fields.length !== headers.length) {
+          error = `expected ${headers.length} fields but found ${record.fields.length}`;
+        } else {
+          const row = Object.fromEntries(headers.map((column, index) => [column, record.fields[index]]));
+          item = {
+            id: row[idColumn].trim(),
+            text: this.buildText(row, textColumns),
+            metadata: {}
+          };
+
+          try {
+            for (const field of metadataFields) {
+              const value = coerceValue(row[field.column], field.type, this.listSeparator);
+              if (value !== undefined) {
+                item.metadata[field.key] = value;
+              }
+            }
+          } catch (coerceError) {
+            error = coerceError.message;
+          }
+
+          error = error || validateItem(item, data.length + skipped.length);
+        }
+
+        if (error) {
+          const message = `Line ${record.line}: ${error}`;
+          if (this.strict) {
+            throw new Error(`Invalid row in ${this.filePath}: ${message}`);
+          }
+          logger.warn(`Skipping row in ${this.filePath}: ${message}`);
+          skipped.push({ line: record.line, error });
+        } else {
+          data.push(item);
+        }
+      }
+
+      this.report = { rows: records.length, loaded: data.length, skipped };
+
+      if (skipped.length > 0) {
+        logger.warn(`Skipped ${skipped.length} invalid rows`, { lines: skipped.map(row => row.line) });
+      }
+      logger.info(`Loaded ${data.length} items from delimited file`);
+      return data;
+    } catch (error) {
+      logger.error(`Failed to load delimited data: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sourceId() {
+    return describeFile('csv', this.filePath);
+  }
+}
+
+// File extensions handled by the directory loader, by text format
+const DOCUMENT_FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text'
+};
+
+/**
+ * Directory document loader
+ * Walks a folder of Markdown, HTML and plain-text files, strips markup and
+ * splits each file into overlapping chunks. Each chunk becomes one item with
+ * a stable id of `<relative path>#<character offset>` and `sourcePath`,
+ * `heading` and `chunkIndex` metadata. `parentId` (the source path) lets
+ * search group chunks back into their documents.
+ */
+export class DirectoryDataLoader extends DataLoader {
+  /**
+   * @param {string} directory - Root directory to load
+   * @param {object} options - Loader options
+   * @param {Array<string>} options.include - Glob patterns of files to load (relative to directory)
+   * @param {Array<string>} options.exclude - Glob patterns of files to skip
+   * @param {object} options.chunking - Chunking options: strategy ('heading', 'paragraph', 'token'), maxTokens, overlap
+   */
+  constructor(directory, options = {}) {
+    super();
+    this.directory = directory;
+    this.include = [].concat(options.include || ['**/*.{md,markdown,txt,html,htm}']);
+    this.exclude = [].concat(options.exclude || ['**/node_modules/**', '**/.git/**']);
+    this.chunking = { strategy: 'heading', maxTokens: 256, overlap: 32, ...options.chunking };
+  }
+
+  /**
+   * List matching files, sorted for a deterministic order
+   * @returns {Promise<Array<string>>} Paths relative to the directory, using forward slashes
+   */
+  async listFiles() {
+    const { readdir } = await import('fs/promises');
+    const files = [];
+
+    const walk = async (dir) => {
+      const entries = await readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = join(dir, entry.name);
+        const relativePath = relative(this.directory, fullPath).split(sep).join('/');
+
+        if (entry.isDirectory()) {
+          if (!matchesAny(`${relativePath}/`, this.exclude)) {
+            await walk(fullPath);
+          }
+        } else if (entry.isFile() &&
+                   DOCUMENT_FORMATS[extname(entry.name).toLowerCase()] &&
+                   matchesAny(relativePath, this.include) &&
+                   !matchesAny(relativePath, this.exclude)) {
+          files.push(relativePath);
+        }
+      }
+    };
+
+    await walk(this.directory);
+    return files.sort();
+  }
+
+  /**
+   * Read and chunk a single file
+   * @param {string} relativePath - Path relative to the directory
+   * @returns {Promise<Array<object>>} Chunk items with id, text, and metadata
+   */
+  async loadFile(relativePath) {
+    const { readFile } = await import('fs/promises');
+    const format = DOCUMENT_FORMATS[extname(relativePath).toLowerCase()];
+    const content = await readFile(join(this.directory, relativePath), 'utf8');
+    const { text, headings } = extractText(content, format);
+    const chunks = chunkText(text, headings, this.chunking);
+
+    return chunks.map((chunk, index) => ({
+      id: `${relativePath}#${chunk.offset}`,
+      text: chunk.text,
+      metadata: {
+        parentId: relativePath,
+        sourcePath: relativePath,
+        heading: chunk.heading,
+        chunkIndex: index,
+        chunkCount: chunks.length,
+        format
+      }
+    }));
+  }
+
+  async *stream() {
+    logger.info(`Loading documents from directory: ${this.directory}`, { chunking: this.chunking });
+
+    const files = await this.listFiles();
+    let chunkTotal = 0;
+
+    for (const file of files) {
+      let items;
+      try {
+        items = await this.loadFile(file);
+      } catch (error) {
+        logger.error(`Failed to load ${file}: ${error.message}`);
+        throw error;
+      }
+
+      if (items.length === 0) {
+        logger.debug(`No text found in ${file}`);
+        continue;
+      }
+
+      logger.debug(`Chunked ${file}`, { chunks: items.length });
+      chunkTotal += items.length;
+      yield* items;
+    }
+
+    logger.info(`Loaded ${chunkTotal} chunks from ${files.length} files`);
+  }
+
+  async load() {
+    const data = [];
+    for await (const item of this.stream()) {
+      data.push(item);
+    }
+    return data;
+  }
+
+  async sourceId() {
+    const { stat } = await import('fs/promises');
+    const hash = createHash('sha256').update(JSON.stringify(this.chunking));
+
+    for (const file of await this.listFiles()) {
+      const stats = await stat(join(this.directory, file));
+      hash.update(`${file}:${stats.size}:${Math.floor(stats.mtimeMs)}\n`);
+    }
+
+    return `directory:${resolve(this.directory)}:${hash.digest('hex')}`;
+  }
 }
 
 /**
  * Create data loader based on configuration or environment
- * @param {string} type - Type of data loader ('sample', 'json')
+ * @param {string} type - Type of data loader ('sample', 'none', 'json', 'jsonl', 'csv', 'tsv', 'directory')
  * @param {object} options - Options for the data loader
  * @returns {DataLoader} Configured data loader instance
  */
@@ -158,11 +657,32 @@ export function createDataLoader(type = 'sample', options = {}) {
   switch (type.toLowerCase()) {
     case 'sample':
       return new SampleDataLoader();
+    case 'none':
+      return new EmptyDataLoader();
     case 'json':
       if (!options.filePath) {
         throw new Error('JSON data loader requires filePath option');
       }
       return new JSONDataLoader(options.filePath);
+    case 'jsonl':
+      if (!options.filePath) {
+        throw new Error('JSONL data loader requires filePath option');
+      }
+      return new JSONLDataLoader(options.filePath, options);
+    case 'csv':
+    case 'tsv':
+      if (!options.filePath) {
+        throw new Error(`${type.toUpperCase()} data loader requires filePath option`);
+      }
+      return new CSVDataLoader(options.filePath, {
+        ...options,
+        delimiter: options.delimiter || (type.toLowerCase() === 'tsv' ? '\t' : undefined)
+      });
+    case 'directory':
+      if (!options.directory && !options.filePath) {
+        throw new Error('Directory data loader requires directory option');
+      }
+      return new DirectoryDataLoader(options.directory || options.filePath, options);
     default:
       logger.warn(`Unknown data loader type: ${type}, falling back to sample`);
       return new SampleDataLoader();
@@ -0,0 +1,262 @@
+/**
+ * MemoryCollection - Brute-force vector collection held in process memory
+ *
+ * Mirrors the subset of the ChromaDB collection API used by SemanticMatcher
+ * (get, add, update, upsert, delete, count, query, modify), including result
+ * shapes, metadata merge semantics and where / whereDocument filters.
+ */
+
+import { matchesWhere, matchesWhereDocument } from '../core/filters.mjs';
+import { distance, DISTANCE_SPACES } from '../utils/vectorMath.mjs';
+
+const DEFAULT_GET_INCLUDE = ['documents', 'metadatas'];
+const DEFAULT_QUERY_INCLUDE = ['documents', 'metadatas', 'distances'];
+
+export class MemoryCollection {
+  /**
+   * @param {object} options - Collection options
+   * @param {string} options.name - Collection name
+   * @param {object} options.metadata - Collection metadata; `hnsw:space` selects the distance
+   * @param {object} options.embeddingFunction - Object with generate(texts) used for documents and queryTexts
+   * @param {Function} options.onChange - Called after every write, e.g. to schedule persistence
+   */
+  constructor({ name, metadata = null, embeddingFunction, onChange = () => {} }) {
+    this.name = name;
+    this.metadata = metadata;
+    this.embeddingFunction = embeddingFunction;
+    this.onChange = onChange;
+    this.records = new Map();   // id -> { document, metadata, embedding }
+  }
+
+  /**
+   * Distance space from collection metadata
+   * @returns {string} 'l2' (default), 'cosine' or 'ip'
+   */
+  get space() {
+    const space = this.metadata?.['hnsw:space'];
+    return DISTANCE_SPACES.includes(space) ? space : 'l2';
+  }
+
+  /**
+   * Embed documents unless embeddings were supplied
+   * @param {Array<string>} documents - Document texts
+   * @param {Array<Array<number>>} embeddings - Precomputed embeddings
+   * @returns {Promise<Array<Array<number>>|undefined>} Embeddings, if any
+   */
+  async embed(documents, embeddings) {
+    if (embeddings) return embeddings;
+    if (!documents) return undefined;
+    if (!this.embeddingFunction) {
+      throw new Error(`Collection "${this.name}" has no embedding function; supply embeddings`);
+    }
+    return this.embeddingFunction.generate(documents);
+  }
+
+  /**
+   * Records matching ids and filters, in insertion order
+   * @param {object} criteria - Selection criteria
+   * @returns {Array<[string, object]>} Matching [id, record] entries
+   */
+  select({ ids, where, whereDocument } = {}) {
+    const entries = ids
+      ? ids.filter(id => this.records.has(id)).map(id => [id, this.records.get(id)])
+      : [...this.records.entries()];
+
+    return entries.filter(([, record]) =>
+      matchesWhere(record.metadata, where) && matchesWhereDocument(record.document, whereDocument));
+  }
+
+  /**
+   * Number of records in the collection
+   * @returns {Promise<number>} Record count
+   */
+  async count() {
+    return this.records.size;
+  }
+
+  /**
+   * Add new records; ids that already exist are ignored, as in ChromaDB
+   * @param {object} records - Parallel ids, documents, metadatas and optional embeddings
+   * @returns {Promise<void>}
+   */
+  async add({ ids, documents, metadatas, embeddings }) {
+    const vectors = await this.embed(documents, embeddings);
+
+    ids.forEach((id, index) => {
+      if (this.records.has(id)) return;
+      this.records.set(id, {
+        document: documents?.[index] ?? null,
+        metadata: stripNulls(metadatas?.[index] ?? null),
+        embedding: vectors?.[index] ?? null
+      });
+    });
+
+    this.onChange();
+  }
+
+  /**
+   * Update existing records; metadata is merged and null values remove keys
+   * @param {object} records - Parallel ids with optional documents, metadatas and embeddings
+   * @returns {Promise<void>}
+   */
+  async update({ ids, documents, metadatas, embeddings }) {
+    const vectors = await this.embed(documents, embeddings);
+
+    ids.forEach((id, index) => {
+      const record = this.records.get(id);
+      if (record) {
+        applyChanges(record, documents?.[index], metadatas?.[index], vectors?.[index]);
+      }
+    });
+
+    this.onChange();
+  }
+
+  /**
+   * Add new records and update existing ones
+   * @param {object} records - Parallel ids, documents, metadatas and optional embeddings
+   * @returns {Promise<void>}
+   */
+  async upsert({ ids, documents, metadatas, embeddings }) {
+    const vectors = await this.embed(documents, embeddings);
+
+    ids.forEach((id, index) => {
+      const record = this.records.get(id);
+      if (record) {
+        applyChanges(record, documents?.[index], metadatas?.[index], vectors?.[index]);
+      } else {
+        this.records.set(id, {
+          document: documents?.[index] ?? null,
+          metadata: stripNulls(metadatas?.[index] ?? null),
+          embedding: vectors?.[index] ?? null
+        });
+      }
+    });
+
+    this.onChange();
+  }
+
+  /**
+   * Delete records by id and/or filter
+   * @param {object} criteria - ids, where and whereDocument
+   * @returns {Promise<Array<string>>} Deleted ids
+   */
+  async delete({ ids, where, whereDocument } = {}) {
+    const deleted = this.select({ ids, where, whereDocument }).map(([id]) => id);
+    deleted.forEach(id => this.records.delete(id));
+    this.onChange();
+    return deleted;
+  }
+
+  /**
+   * Fetch records by id and/or filter
+   * @param {object} options - ids, where, whereDocument, limit, offset and include
+   * @returns {Promise<object>} ChromaDB-style get response
+   */
+  async get({ ids, where, whereDocument, limit, offset = 0, include = DEFAULT_GET_INCLUDE } = {}) {
+    let entries = this.select({ ids, where, whereDocument });
+    entries = entries.slice(offset, limit === undefined ? undefined : offset + limit);
+
+    return {
+      ids: entries.map(([id]) => id),
+      documents: include.includes('documents') ? entries.map(([, record]) => record.document) : null,
+      metadatas: include.includes('metadatas') ? entries.map(([, record]) => record.metadata) : null,
+      embeddings: include.includes('embeddings') ? entries.map(([, record]) => record.embedding) : null,
+      included: include
+    };
+  }
+
+  /**
+   * Find the nearest records to each query by brute-force distance
+   * @param {object} options - queryEmbeddings or queryTexts, nResults, where, whereDocument and include
+   * @returns {Promise<object>} ChromaDB-style query response with one list per query
+   */
+  async query({ queryEmbeddings, queryTexts, nResults = 10, where, whereDocument, include = DEFAULT_QUERY_INCLUDE }) {
+    const queries = queryEmbeddings || await this.embed(queryTexts);
+    const candidates = this.select({ where, whereDocument }).filter(([, record]) => record.embedding);
+
+    const response = { ids: [], documents: null, metadatas: null, embeddings: null, distances: null, included: include };
+    for (const key of ['documents', 'metadatas', 'embeddings', 'distances']) {
+      if (include.includes(key)) response[key] = [];
+    }
+
+    for (const queryEmbedding of queries) {
+      const nearest = candidates
+        .map(([id, record]) => ({ id, record, distance: distance(queryEmbedding, record.embedding, this.space) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, nResults);
+
+      response.ids.push(nearest.map(hit => hit.id));
+      response.documents?.push(nearest.map(hit => hit.record.document));
+      response.metadatas?.push(nearest.map(hit => hit.record.metadata));
+      response.embeddings?.push(nearest.map(hit => hit.record.embedding));
+      response.distances?.push(nearest.map(hit => hit.distance));
+    }
+
+    return response;
+  }
+
+  /**
+   * Replace collection metadata
+   * The distance space is fixed when the collection is created, as in ChromaDB,
+   * so `hnsw:space` is kept.
+   * @param {object} changes - New metadata
+   * @returns {Promise<object>} Name and metadata
+   * @throws {Error} If the metadata tries to change the distance space
+   */
+  async modify({ metadata }) {
+    if (metadata !== undefined) {
+      const space = this.metadata?.['hnsw:space'];
+      if ('hnsw:space' in metadata && metadata['hnsw:space'] !== space) {
+        throw new Error('Changing the distance function of a collection is not supported');
+      }
+      this.metadata = space === undefined ? metadata : { ...metadata, 'hnsw:space': space };
+      this.onChange();
+    }
+    return { name: this.name, metadata: this.metadata };
+  }
+
+  /**
+   * Serialize records for persistence
+   * @returns {object} Plain data for JSON storage
+   */
+  toJSON() {
+    return {
+      metadata: this.metadata,
+      records: [...this.records.entries()].map(([id, record]) => [id, record.document, record.metadata, record.embedding])
+    };
+  }
+
+  /**
+   * Restore records saved by toJSON
+   * @param {object} data - Serialized collection
+   */
+  restore({ records = [] }) {
+    this.records = new Map(records.map(([id, document, metadata, embedding]) => [id, { document, metadata, embedding }]));
+  }
+}
+
+/**
+ * Apply an update to a stored record
+ * @param {object} record - Stored record
+ * @param {string} document - New document text, if any
+ * @param {object} metadata - Metadata to merge, if any
+ * @param {Array<number>} embedding - New embedding, if any
+ */
+function applyChanges(record, document, metadata, embedding) {
+  if (document !== undefined) record.document = document;
+  if (embedding !== undefined) record.embedding = embedding;
+  if (metadata) {
+    record.metadata = stripNulls({ ...record.metadata, ...metadata });
+  }
+}
+
+/**
+ * Drop null-valued metadata keys, which ChromaDB treats as deletions
+ * @param {object|null} metadata - Metadata
+ * @returns {object|null} Metadata without null values
+ */
+function stripNulls(metadata) {
+  if (!metadata) return metadata;
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null && value !== undefined));
+}
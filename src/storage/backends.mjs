@@ -0,0 +1,301 @@
+/**
+ * Storage backends for semantic matching
+ * Each backend exposes the collection lifecycle operations SemanticMatcher
+ * needs; the collections it returns follow the ChromaDB collection API.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { ChromaClient } from 'chromadb';
+import { logger } from '../utils/logger.mjs';
+import { MemoryCollection } from './MemoryCollection.mjs';
+
+// Version of the on-disk format written by MemoryBackend
+const MEMORY_STORE_VERSION = 1;
+
+export const STORAGE_BACKEND_TYPES = ['chroma', 'memory'];
+
+/**
+ * Base storage backend
+ * Extend this class to add vector stores
+ */
+export class StorageBackend {
+  /**
+   * @param {string} name - Backend name reported in stats
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Human-readable location used in log messages
+   * @returns {string} Backend description
+   */
+  describe() {
+    return this.name;
+  }
+
+  /**
+   * Check that the backend is reachable
+   * @returns {Promise<*>} Resolves if healthy, rejects otherwise
+   */
+  async heartbeat() {
+    throw new Error('StorageBackend.heartbeat() must be implemented by subclass');
+  }
+
+  /**
+   * Create a new collection
+   * @param {object} options - name, metadata and embeddingFunction
+   * @returns {Promise<object>} Collection
+   */
+  async createCollection(options) {
+    throw new Error('StorageBackend.createCollection() must be implemented by subclass');
+  }
+
+  /**
+   * Get a collection, creating it if it does not exist
+   * @param {object} options - name, metadata and embeddingFunction
+   * @returns {Promise<object>} Collection
+   */
+  async getOrCreateCollection(options) {
+    throw new Error('StorageBackend.getOrCreateCollection() must be implemented by subclass');
+  }
+
+  /**
+   * Delete a collection
+   * @param {object} options - name
+   * @returns {Promise<void>}
+   */
+  async deleteCollection(options) {
+    throw new Error('StorageBackend.deleteCollection() must be implemented by subclass');
+  }
+
+  /**
+   * List stored collections
+   * @returns {Promise<Array<{name: string, metadata: object}>>} Collection names and metadata
+   */
+  async listCollections() {
+    throw new Error('StorageBackend.listCollections() must be implemented by subclass');
+  }
+
+  /**
+   * Flush pending writes and release resources
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * ChromaDB server backend
+ */
+export class ChromaBackend extends StorageBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.url - ChromaDB server URL
+   */
+  constructor({ url }) {
+    super('chroma');
+    this.url = url;
+    this.client = new ChromaClient({ path: url });
+  }
+
+  describe() {
+    return `ChromaDB at ${this.url}`;
+  }
+
+  async heartbeat() {
+    return this.client.heartbeat();
+  }
+
+  async createCollection(options) {
+    return this.client.createCollection(options);
+  }
+
+  async getOrCreateCollection(options) {
+    return this.client.getOrCreateCollection(options);
+  }
+
+  async deleteCollection(options) {
+    return this.client.deleteCollection(options);
+  }
+
+  async listCollections() {
+    const collections = await this.client.listCollectionsAndMetadata();
+    return collections.map(({ name, metadata }) => ({ name, metadata: metadata ?? null }));
+  }
+}
+
+/**
+ * In-process brute-force vector store
+ * Needs no external services. With a path, collections are saved to a JSON
+ * file shortly after each write and reloaded on startup.
+ */
+export class MemoryBackend extends StorageBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.path - Persistence file; falsy keeps data in memory only
+   * @param {number} options.flushInterval - Delay in ms for batching writes to disk (default 1000)
+   */
+  constructor({ path, flushInterval = 1000 } = {}) {
+    super('memory');
+    this.path = path || null;
+    this.flushInterval = flushInterval;
+    this.collections = new Map();
+    this.loaded = null;
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  describe() {
+    return this.path ? `in-memory store (${this.path})` : 'in-memory store';
+  }
+
+  /**
+   * Load persisted collections once
+   * @returns {Promise<void>}
+   * @throws {Error} If the persistence file exists but cannot be parsed
+   */
+  async load() {
+    this.loaded ??= (async () => {
+      if (!this.path) return;
+
+      let data;
+      try {
+        data = JSON.parse(await readFile(this.path, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw new Error(`Failed to read vector store ${this.path}: ${error.message}`);
+      }
+
+      for (const [name, stored] of Object.entries(data.collections || {})) {
+        const collection = this.newCollection(name, stored.metadata);
+        collection.restore(stored);
+        this.collections.set(name, collection);
+      }
+
+      logger.debug('Vector store loaded', { path: this.path, collections: this.collections.size });
+    })();
+
+    return this.loaded;
+  }
+
+  /**
+   * Build a collection wired to schedule saves on change
+   * @param {string} name - Collection name
+   * @param {object} metadata - Collection metadata
+   * @param {object} embeddingFunction - Embedding function
+   * @returns {MemoryCollection} Collection
+   */
+  newCollection(name, metadata, embeddingFunction) {
+    return new MemoryCollection({
+      name,
+      metadata: metadata ?? null,
+      embeddingFunction,
+      onChange: () => this.scheduleSave()
+    });
+  }
+
+  async heartbeat() {
+    await this.load();
+    return Date.now();
+  }
+
+  async createCollection({ name, metadata, embeddingFunction }) {
+    await this.load();
+    if (this.collections.has(name)) {
+      throw new Error(`Collection ${name} already exists`);
+    }
+
+    const collection = this.newCollection(name, metadata, embeddingFunction);
+    this.collections.set(name, collection);
+    this.scheduleSave();
+    return collection;
+  }
+
+  async getOrCreateCollection({ name, metadata, embeddingFunction }) {
+    await this.load();
+
+    const collection = this.collections.get(name);
+    if (!collection) {
+      return this.createCollection({ name, metadata, embeddingFunction });
+    }
+
+    collection.embeddingFunction = embeddingFunction;
+    return collection;
+  }
+
+  async deleteCollection({ name }) {
+    await this.load();
+    if (!this.collections.delete(name)) {
+      throw new Error(`Collection ${name} does not exist`);
+    }
+    this.scheduleSave();
+  }
+
+  async listCollections() {
+    await this.load();
+    return [...this.collections.values()].map(({ name, metadata }) => ({ name, metadata }));
+  }
+
+  /**
+   * Save to disk after the flush interval, coalescing bursts of writes
+   */
+  scheduleSave() {
+    if (!this.path || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save()).catch(error => {
+        logger.error('Failed to save vector store', { path: this.path, error: error.message });
+      });
+    }, this.flushInterval);
+  }
+
+  /**
+   * Atomically write all collections to the persistence file
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const data = {
+      version: MEMORY_STORE_VERSION,
+      collections: Object.fromEntries([...this.collections].map(([name, collection]) => [name, collection.toJSON()]))
+    };
+
+    const tempPath = `${this.path}.tmp`;
+    await mkdir(dirname(this.path), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(data));
+    await rename(tempPath, this.path);
+    logger.debug('Vector store saved', { path: this.path });
+  }
+
+  /**
+   * Write any pending changes immediately
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.save());
+    }
+    await this.saving;
+  }
+}
+
+/**
+ * Create a storage backend based on configuration
+ * @param {string} type - Backend type ('chroma', 'memory')
+ * @param {object} options - Backend options (url for chroma; path and flushInterval for memory)
+ * @returns {StorageBackend} Configured storage backend
+ * @throws {Error} If the backend type is unknown
+ */
+export function createStorageBackend(type = 'chroma', options = {}) {
+  switch (type.toLowerCase()) {
+    case 'chroma':
+      return new ChromaBackend(options);
+    case 'memory':
+      return new MemoryBackend(options);
+    default:
+      throw new Error(`Unknown storage backend "${type}". Available backends: ${STORAGE_BACKEND_TYPES.join(', ')}`);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Least-recently-used cache with optional time-to-live
+ * Used for search results and query embeddings
+ */
+
+export class LRUCache {
+  /**
+   * @param {object} options - Cache options
+   * @param {number} options.maxSize - Maximum entries; 0 disables the cache (default 500)
+   * @param {number} options.ttl - Entry lifetime in ms; 0 never expires (default 0)
+   */
+  constructor({ maxSize = 500, ttl = 0 } = {}) {
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    // Map iteration order doubles as recency order, oldest first
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Look up a value, counting the hit or miss
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined if absent or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || (entry.expires && entry.expires <= Date.now())) {
+      if (entry) this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    if (this.maxSize <= 0) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: this.ttl > 0 ? Date.now() + this.ttl : 0 });
+
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove every entry; counters are kept
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Cache counters for stats reporting
+   * @returns {object} Size, limits, hits, misses, hit rate and evictions
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      maxSize: this.maxSize,
+      ttl: this.ttl,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? parseFloat((this.hits / lookups).toFixed(4)) : 0,
+      evictions: this.evictions
+    };
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * API key authentication and per-key rate limiting for the REST API
+ *
+ * Every key has a role: 'read' may search and view statistics, 'admin' may
+ * also change documents, reset and manage collections. Keys are held only as
+ * SHA-256 hashes. With no keys configured authentication is off.
+ */
+
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { logger } from './logger.mjs';
+
+/**
+ * Roles, least privileged first; each role includes the ones before it
+ */
+export const ROLES = ['read', 'admin'];
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parse inline keys of the form "key:role", comma-separated
+ * @param {string} value - Inline key list, e.g. "s3cret:admin,readonly-key:read"
+ * @returns {Array<object>} Key entries with key and role
+ */
+function parseInlineKeys(value = '') {
+  return value.split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.lastIndexOf(':');
+      return separator > 0
+        ? { key: part.slice(0, separator), role: part.slice(separator + 1) }
+        : { key: part };
+    });
+}
+
+export class ApiKeyAuth {
+  /**
+   * @param {object} options - Authentication options
+   * @param {string} options.keys - Inline keys, comma-separated "key:role" (role defaults to read)
+   * @param {string} options.keysFile - JSON file with [{ key, role, name, rateLimit }]
+   * @param {number} options.rateLimit - Requests per window for each key; 0 disables limiting (default 60)
+   * @param {number} options.rateWindow - Rate limit window in ms (default 60000)
+   */
+  constructor({ keys = '', keysFile = '', rateLimit = 60, rateWindow = 60000 } = {}) {
+    this.inlineKeys = keys;
+    this.keysFile = keysFile;
+    this.rateLimit = rateLimit;
+    this.rateWindow = rateWindow;
+    // Key hash -> { name, role, rateLimit }
+    this.keys = new Map();
+    // Key hash -> { start, count } for the current rate limit window
+    this.windows = new Map();
+  }
+
+  /**
+   * Whether requests must present an API key
+   * @returns {boolean} True once at least one key is loaded
+   */
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Load the inline keys and the keys file
+   * @returns {Promise<void>}
+   * @throws {Error} If the keys file cannot be read or a key is invalid
+   */
+  async load() {
+    const entries = parseInlineKeys(this.inlineKeys);
+
+    if (this.keysFile) {
+      let fileEntries;
+      try {
+        fileEntries = JSON.parse(await readFile(this.keysFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to read API keys file ${this.keysFile}: ${error.message}`);
+      }
+      if (!Array.isArray(fileEntries)) {
+        throw new Error(`API keys file ${this.keysFile} must contain an array of { key, role } objects`);
+      }
+      entries.push(...fileEntries);
+    }
+
+    this.keys.clear();
+    entries.forEach(entry => this.addKey(entry));
+
+    logger.info('API key authentication configured', {
+      enabled: this.enabled,
+      keys: this.keys.size,
+      rateLimit: this.rateLimit,
+      rateWindow: this.rateWindow
+    });
+  }
+
+  /**
+   * Register a key
+   * @param {object} entry - Key entry
+   * @param {string} entry.key - The secret presented by clients
+   * @param {string} entry.role - 'read' or 'admin' (default read)
+   * @param {string} entry.name - Name used in logs (default: derived from the key hash)
+   * @param {number} entry.rateLimit - Per-key override of the requests per window
+   * @throws {Error} If the entry is invalid
+   */
+  addKey({ key, role = 'read', name, rateLimit } = {}) {
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new Error('API key must be a non-empty string');
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown API key role "${role}". Available roles: ${ROLES.join(', ')}`);
+    }
+    if (rateLimit !== undefined && (!Number.isInteger(rateLimit) || rateLimit < 0)) {
+      throw new Error('API key rateLimit must be a non-negative integer');
+    }
+
+    const hash = hashKey(key);
+    this.keys.set(hash, { name: name || `key-${hash.slice(0, 8)}`, role, rateLimit: rateLimit ?? this.rateLimit });
+  }
+
+  /**
+   * Read the API key from a request
+   * Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>".
+   * @param {object} req - Express request
+   * @returns {string|null} Presented key, or null if none
+   */
+  presentedKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization?.startsWith('Bearer ')) {
+      return authorization.slice('Bearer '.length).trim() || null;
+    }
+    return req.get('X-API-Key') || null;
+  }
+
+  /**
+   * Count a request against a key's rate limit
+   * Uses fixed windows that start with the key's first request.
+   * @param {string} hash - Key hash
+   * @param {number} limit - Requests allowed per window
+   * @returns {{allowed: boolean, remaining: number, resetMs: number}} Outcome and window state
+   */
+  consume(hash, limit) {
+    const now = Date.now();
+    let window = this.windows.get(hash);
+    if (!window || now - window.start >= this.rateWindow) {
+      window = { start: now, count: 0 };
+      this.windows.set(hash, window);
+    }
+
+    const resetMs = window.start + this.rateWindow - now;
+    if (window.count >= limit) {
+      return { allowed: false, remaining: 0, resetMs };
+    }
+    window.count++;
+    return { allowed: true, remaining: limit - window.count, resetMs };
+  }
+
+  /**
+   * Middleware that identifies the caller and applies its rate limit
+   * Sets req.apiKey to { name, role }. Responds 401 for a missing or unknown
+   * key and 429 once the key's limit is used up.
+   * @param {object} options - Middleware options
+   * @param {Array<string>} options.publicPaths - Paths served without a key
+   * @returns {Function} Express middleware
+   */
+  authenticate({ publicPaths = [] } = {}) {
+    return (req, res, next) => {
+      if (!this.enabled || publicPaths.includes(req.path)) {
+        return next();
+      }
+
+      const key = this.presentedKey(req);
+      if (!key) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'An API key is required: send "Authorization: Bearer <key>" or "X-API-Key: <key>"'
+        });
+      }
+
+      const hash = hashKey(key);
+      const entry = this.keys.get(hash);
+      if (!entry) {
+        logger.warn('Rejected unknown API key', { method: req.method, url: req.url });
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid API key'
+        });
+      }
+
+      req.apiKey = { name: entry.name, role: entry.role };
+
+      if (entry.rateLimit > 0) {
+        const { allowed, remaining, resetMs } = this.consume(hash, entry.rateLimit);
+        res.set('X-RateLimit-Limit', String(entry.rateLimit));
+        res.set('X-RateLimit-Remaining', String(remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(resetMs / 1000)));
+
+        if (!allowed) {
+          logger.warn('API key rate limit exceeded', { key: entry.name, limit: entry.rateLimit });
+          res.set('Retry-After', String(Math.ceil(resetMs / 1000)));
+          return res.status(429).json({
+            error: 'Too many requests',
+            message: `Rate limit of ${entry.rateLimit} requests per ${this.rateWindow / 1000}s exceeded; ` +
+              `retry in ${Math.ceil(resetMs / 1000)}s`
+          });
+        }
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Middleware that requires the caller's role to include a role
+   * Responds 403 otherwise. Passes every request while authentication is off.
+   * @param {string} role - Required role
+   * @returns {Function} Express middleware
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!this.enabled || ROLES.indexOf(req.apiKey?.role) >= ROLES.indexOf(role)) {
+        return next();
+      }
+
+      logger.warn('API key lacks required role', { key: req.apiKey?.name, role, method: req.method, url: req.url });
+      res.status(403).json({
+        error: 'Forbidden',
+        message: `${req.method} ${req.originalUrl} requires the ${role} role`
+      });
+    };
+  }
+}
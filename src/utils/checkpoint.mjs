@@ -0,0 +1,94 @@
+/**
+ * Ingest checkpoint storage
+ * Persists ingest progress to a JSON file so an interrupted load can resume
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { logger } from './logger.mjs';
+
+export class Checkpoint {
+  /**
+   * @param {string} filePath - Checkpoint file path; falsy disables checkpointing
+   */
+  constructor(filePath) {
+    this.filePath = filePath || null;
+  }
+
+  /**
+   * Whether checkpointing is enabled
+   * @returns {boolean} True if a checkpoint file is configured
+   */
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  /**
+   * Read all checkpoint entries
+   * @returns {Promise<object>} Entries keyed by checkpoint key
+   */
+  async readAll() {
+    if (!this.enabled) return {};
+
+    try {
+      return JSON.parse(await readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable checkpoint file', { path: this.filePath, error: error.message });
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Read a single checkpoint entry
+   * @param {string} key - Checkpoint key
+   * @returns {Promise<object|null>} Saved state, or null if none
+   */
+  async read(key) {
+    const entries = await this.readAll();
+    return entries[key] || null;
+  }
+
+  /**
+   * Save a checkpoint entry
+   * Writes to a temporary file first so a crash never leaves a truncated checkpoint
+   * @param {string} key - Checkpoint key
+   * @param {object} state - State to save
+   * @returns {Promise<void>}
+   */
+  async write(key, state) {
+    if (!this.enabled) return;
+
+    const entries = await this.readAll();
+    entries[key] = { ...state, updatedAt: new Date().toISOString() };
+    await this.save(entries);
+  }
+
+  /**
+   * Remove a checkpoint entry
+   * @param {string} key - Checkpoint key
+   * @returns {Promise<void>}
+   */
+  async clear(key) {
+    if (!this.enabled) return;
+
+    const entries = await this.readAll();
+    if (!(key in entries)) return;
+
+    delete entries[key];
+    await this.save(entries);
+  }
+
+  /**
+   * Atomically write all entries
+   * @param {object} entries - Entries keyed by checkpoint key
+   * @returns {Promise<void>}
+   */
+  async save(entries) {
+    const tempPath = `${this.filePath}.tmp`;
+    await mkdir(dirname(this.filePath), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(entries, null, 2));
+    await rename(tempPath, this.filePath);
+  }
+}
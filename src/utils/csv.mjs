@@ -0,0 +1,97 @@
+/**
+ * Delimited text (CSV / TSV) parsing and formatting utility
+ * Handles quoted fields, escaped quotes, embedded newlines and CRLF line endings
+ */
+
+/**
+ * Parse delimited text into records
+ * @param {string} content - File content
+ * @param {object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @param {string} options.quote - Quote character (default '"')
+ * @returns {Array<{fields: Array<string>, line: number}>} Records with the 1-based line each starts on
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseDelimited(content, { delimiter = ',', quote = '"' } = {}) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+
+  // Strip UTF-8 byte order mark left by spreadsheet exports
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (!(fields.length === 1 && fields[0] === '')) {
+      records.push({ fields, line: recordLine });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === quote) {
+        if (text[i + 1] === quote) {
+          field += quote;
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === quote && field === '') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Format one record as a line of delimited text
+ * Fields containing the delimiter, a quote or a line break are quoted.
+ * @param {Array<*>} fields - Field values; null and undefined become empty fields
+ * @param {object} options - Formatter options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @param {string} options.quote - Quote character (default '"')
+ * @returns {string} Line without a line ending
+ */
+export function formatDelimited(fields, { delimiter = ',', quote = '"' } = {}) {
+  return fields.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    const needsQuotes = text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text);
+    return needsQuotes ? `${quote}${text.split(quote).join(quote + quote)}${quote}` : text;
+  }).join(delimiter);
+}
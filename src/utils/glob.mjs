@@ -0,0 +1,57 @@
+/**
+ * Minimal glob matching utility
+ * Supports `**`, `*`, `?` and `{a,b}` patterns against forward-slash paths
+ */
+
+/**
+ * Convert a glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern, e.g. 'docs/**\/*.{md,txt}'
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // '**/' matches zero or more directories; a trailing '**' matches anything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, end).split(',').map(option => globToRegExp(option).source.slice(1, -1));
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a path matches any of the given glob patterns
+ * @param {string} path - Relative path using forward slashes
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {boolean} True if any pattern matches
+ */
+export function matchesAny(path, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(path));
+}
@@ -1,8 +1,19 @@
 /**
  * Simple, structured logging utility
  * Provides consistent log formatting across the application
+ *
+ * Lines are written as human-readable text ('pretty') or one JSON object per
+ * line ('json') to the configured sinks: stdout, stderr and/or a size-rotated
+ * file.
+ * Fields from the current log context (e.g. the request id, see
+ * withLogContext) and from child loggers are added to every line, and
+ * configured fields are redacted at any depth.
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+import { openSync, writeSync, closeSync, fstatSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { inspect } from 'util';
 import { config } from '../config.mjs';
 
 const LOG_LEVELS = {
@@ -12,7 +23,14 @@ const LOG_LEVELS = {
   debug: 3
 };
 
-const CURRENT_LEVEL = LOG_LEVELS[config.logging.level] ?? LOG_LEVELS.info;
+export const LOG_FORMATS = ['pretty', 'json'];
+
+let currentLevel = LOG_LEVELS[config.logging.level] ?? LOG_LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+
+// Fields of the operation in progress, such as the request id
+const logContext = new AsyncLocalStorage();
 
 /**
  * Format timestamp for logs
@@ -22,28 +40,216 @@ function getTimestamp() {
   return new Date().toISOString();
 }
 
+/**
+ * Appends log lines to a file, rotating it once it exceeds a size
+ * The current file is renamed to <path>.1, older files shift up by one and
+ * the oldest beyond maxFiles is dropped.
+ */
+export class RotatingFileSink {
+  /**
+   * @param {object} options - Sink options
+   * @param {string} options.path - Log file path; its directory is created if missing
+   * @param {number} options.maxSize - Bytes a file may reach before rotating
+   * @param {number} options.maxFiles - Rotated files to keep
+   */
+  constructor({ path, maxSize, maxFiles }) {
+    this.path = path;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    mkdirSync(dirname(path), { recursive: true });
+    this.open();
+  }
+
+  /**
+   * Open the current file for appending
+   */
+  open() {
+    this.fd = openSync(this.path, 'a');
+    this.size = fstatSync(this.fd).size;
+  }
+
+  /**
+   * Shift the rotated files up by one and start a new current file
+   */
+  rotate() {
+    closeSync(this.fd);
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (existsSync(`${this.path}.${index}`)) {
+        renameSync(`${this.path}.${index}`, `${this.path}.${index + 1}`);
+      }
+    }
+    renameSync(this.path, `${this.path}.1`);
+    this.open();
+  }
+
+  /**
+   * Append a line
+   * Writes synchronously so lines stay in order and none are lost on exit.
+   * @param {string} line - Formatted log line
+   */
+  write(line) {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      this.rotate();
+    }
+    writeSync(this.fd, data);
+    this.size += bytes;
+  }
+
+  /**
+   * Close the file
+   */
+  close() {
+    closeSync(this.fd);
+  }
+}
+
+/**
+ * Create the configured sinks
+ * @param {object} options - Logging configuration
+ * @returns {Array<{write: Function}>} Sinks
+ * @throws {Error} If the format or a sink is unknown
+ */
+function createSinks({ format, sinks, file }) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}". Available formats: ${LOG_FORMATS.join(', ')}`);
+  }
+
+  return sinks.map(sink => {
+    switch (sink) {
+      case 'stdout':
+        return { write: line => process.stdout.write(`${line}\n`) };
+      case 'stderr':
+        return { write: line => process.stderr.write(`${line}\n`) };
+      case 'file':
+        return new RotatingFileSink(file);
+      default:
+        throw new Error(`Unknown log sink "${sink}". Available sinks: stdout, stderr, file`);
+    }
+  });
+}
+
+let sinks = createSinks(config.logging);
+const REDACT_FIELDS = new Set(config.logging.redact.map(field => field.toLowerCase()));
+
+/**
+ * Prepare metadata for output: replace redacted fields and turn errors into
+ * plain objects so they survive JSON serialization
+ * @param {*} value - Metadata value
+ * @param {WeakSet} seen - Objects already visited, to cut cycles
+ * @returns {*} Copy safe to format
+ */
+function sanitize(value, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    REDACT_FIELDS.has(key.toLowerCase()) ? REDACTED : sanitize(field, seen)
+  ]));
+}
+
+/**
+ * Format a log record as a line
+ * @param {object} record - Timestamp, level, message and fields
+ * @returns {string} Line in the configured format
+ */
+function formatRecord({ timestamp, level, message, fields }) {
+  if (config.logging.format === 'json') {
+    return JSON.stringify({ timestamp, level, message, ...fields });
+  }
+
+  const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
+  if (Object.keys(fields).length > 0) {
+    return `${prefix} ${message} ${inspect(fields, { depth: 5, breakLength: Infinity })}`;
+  }
+  return `${prefix} ${message}`;
+}
+
 /**
  * Core logging function
  * @param {string} level - Log level
  * @param {string} message - Log message
  * @param {object} meta - Optional metadata
+ * @param {object} bindings - Fields of the logger that wrote the line
  */
-function log(level, message, meta = {}) {
-  if (LOG_LEVELS[level] > CURRENT_LEVEL) return;
-  
-  const timestamp = getTimestamp();
-  const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
-  
-  if (Object.keys(meta).length > 0) {
-    console.log(`${prefix} ${message}`, meta);
-  } else {
-    console.log(`${prefix} ${message}`);
+function log(level, message, meta = {}, bindings = {}) {
+  if (LOG_LEVELS[level] > currentLevel) return;
+
+  const line = formatRecord({
+    timestamp: getTimestamp(),
+    level,
+    message,
+    fields: sanitize({ ...logContext.getStore(), ...bindings, ...meta })
+  });
+
+  for (const sink of sinks) {
+    try {
+      sink.write(line);
+    } catch (error) {
+      process.stderr.write(`Log sink failed: ${error.message}\n`);
+    }
   }
 }
 
-export const logger = {
-  error: (message, meta) => log('error', message, meta),
-  warn: (message, meta) => log('warn', message, meta),
-  info: (message, meta) => log('info', message, meta),
-  debug: (message, meta) => log('debug', message, meta)
-};
\ No newline at end of file
+/**
+ * Change the level or sinks after startup
+ * Used by one-shot CLI commands, whose stdout is reserved for their output.
+ * @param {object} options - Settings to change; others keep their configured values
+ * @param {string} options.level - Log level: error, warn, info or debug
+ * @param {Array<string>} options.sinks - Sink names: stdout, stderr, file
+ * @throws {Error} If the level or a sink is unknown
+ */
+export function configureLogging({ level, sinks: sinkNames } = {}) {
+  if (level !== undefined) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level "${level}". Available levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    currentLevel = LOG_LEVELS[level];
+  }
+  if (sinkNames !== undefined) {
+    const replacement = createSinks({ ...config.logging, sinks: sinkNames });
+    sinks.forEach(sink => sink.close?.());
+    sinks = replacement;
+  }
+}
+
+/**
+ * Run a function with fields added to every line logged while it runs,
+ * including from asynchronous work it starts
+ * @param {object} fields - Context fields, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Create a logger whose lines carry a set of fields
+ * @param {object} bindings - Fields added to every line
+ * @returns {object} Logger with error, warn, info, debug and child(fields)
+ */
+function createLogger(bindings = {}) {
+  return {
+    error: (message, meta) => log('error', message, meta, bindings),
+    warn: (message, meta) => log('warn', message, meta, bindings),
+    info: (message, meta) => log('info', message, meta, bindings),
+    debug: (message, meta) => log('debug', message, meta, bindings),
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,263 @@
+/**
+ * Prometheus metrics
+ * Counters, gauges and histograms kept in process and rendered in the
+ * Prometheus text exposition format, for GET /metrics and the CLI.
+ */
+
+// Latency buckets in seconds, from 5ms to 10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set for the text format
+ * @param {object} labels - Label names and values
+ * @returns {string} e.g. '{collection="jobs",stage="query"}', or '' without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base metric: a named family of series, one per label set
+ */
+class Metric {
+  /**
+   * @param {string} type - Prometheus metric type
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown in # HELP
+   * @param {Array<string>} labelNames - Label names every series carries
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get or create the series for a label set
+   * @param {object} labels - Label values by name
+   * @param {Function} create - Returns the initial series state
+   * @returns {object} Series state with its labels
+   */
+  seriesFor(labels, create) {
+    const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(Object.values(values));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop the series for a label set, e.g. when a collection is deleted
+   * @param {object} labels - Label values by name
+   */
+  remove(labels) {
+    const key = JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+    this.series.delete(key);
+  }
+
+  /**
+   * Render the metric in the text format
+   * @returns {string} HELP, TYPE and sample lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.samples(series));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Sample lines for one series
+   * @param {object} series - Series state
+   * @returns {Array<string>} Sample lines
+   */
+  samples(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+/**
+ * Monotonically increasing count
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Increase the counter
+   * @param {object} labels - Label values
+   * @param {number} value - Amount to add (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Set the gauge
+   * @param {object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Upper bounds, ascending (default: latency buckets in seconds)
+   */
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing an operation
+   * @param {object} labels - Label values
+   * @returns {Function} Call to observe the elapsed seconds; returns them
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  samples({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+/**
+ * Holds every metric of the process
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = new Set();
+  }
+
+  /**
+   * Register a metric, or return the one already registered under its name
+   * @param {Function} MetricClass - Counter, Gauge or Histogram
+   * @param {Array} args - Constructor arguments, name first
+   * @returns {Metric} The metric
+   */
+  register(MetricClass, ...args) {
+    const [name] = args;
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new MetricClass(...args);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @returns {Counter} Counter
+   */
+  counter(name, help, labelNames) {
+    return this.register(Counter, name, help, labelNames);
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @returns {Gauge} Gauge
+   */
+  gauge(name, help, labelNames) {
+    return this.register(Gauge, name, help, labelNames);
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Bucket upper bounds
+   * @returns {Histogram} Histogram
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this.register(Histogram, name, help, labelNames, buckets);
+  }
+
+  /**
+   * Add a function that updates gauges just before each render
+   * @param {Function} collector - Async function; failures are ignored so one
+   *   broken source does not hide the other metrics
+   * @returns {Function} Call to remove the collector
+   */
+  addCollector(collector) {
+    this.collectors.add(collector);
+    return () => this.collectors.delete(collector);
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    await Promise.all([...this.collectors].map(collector => Promise.resolve().then(collector).catch(() => {})));
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+export const metrics = new MetricsRegistry();
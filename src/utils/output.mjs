@@ -0,0 +1,90 @@
+/**
+ * Machine-readable output for one-shot CLI commands
+ * Writes records as a JSON document, JSON Lines or CSV. The 'table' format
+ * is human-readable and rendered by each command itself.
+ */
+
+import { formatDelimited } from './csv.mjs';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+/**
+ * Flatten nested objects into dotted keys, e.g. { cache: { hits: 1 } } to { 'cache.hits': 1 }
+ * Arrays are kept as values.
+ * @param {object} record - Record to flatten
+ * @param {string} prefix - Key prefix for nested fields
+ * @returns {object} Flat record
+ */
+export function flattenRecord(record, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(record)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenRecord(value, name));
+    } else {
+      flat[name] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Writes records to a stream in json, ndjson or csv
+ * ndjson and csv are written as records arrive, so long-running pipelines
+ * see output immediately; json is written by end().
+ */
+export class RecordWriter {
+  /**
+   * @param {string} format - 'json', 'ndjson' or 'csv'
+   * @param {object} options - Writer options
+   * @param {Array<string>} options.columns - CSV columns (default: the first record's keys)
+   * @param {boolean} options.single - JSON: write the only record as an object rather than an array
+   * @param {object} options.stream - Output stream (default stdout)
+   */
+  constructor(format, { columns = null, single = false, stream = process.stdout } = {}) {
+    this.format = format;
+    this.columns = columns;
+    this.single = single;
+    this.stream = stream;
+    this.records = [];
+    this.headerWritten = false;
+  }
+
+  /**
+   * Write one record
+   * @param {object} record - Record; in CSV, object and array values are written as JSON
+   */
+  write(record) {
+    switch (this.format) {
+      case 'json':
+        this.records.push(record);
+        break;
+      case 'ndjson':
+        this.stream.write(`${JSON.stringify(record)}\n`);
+        break;
+      case 'csv':
+        if (!this.headerWritten) {
+          this.columns ??= Object.keys(record);
+          this.stream.write(`${formatDelimited(this.columns)}\n`);
+          this.headerWritten = true;
+        }
+        this.stream.write(`${formatDelimited(this.columns.map(column => {
+          const value = record[column];
+          return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        }))}\n`);
+        break;
+      default:
+        throw new Error(`Unknown output format "${this.format}". Available formats: json, ndjson, csv`);
+    }
+  }
+
+  /**
+   * Finish the output
+   */
+  end() {
+    if (this.format === 'json') {
+      const document = this.single && this.records.length === 1 ? this.records[0] : this.records;
+      this.stream.write(`${JSON.stringify(document, null, 2)}\n`);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * JSON Schema validation for API requests and responses
+ *
+ * Covers the subset of JSON Schema used by the route schemas: type (including
+ * type arrays), enum, const, numeric and length bounds, pattern, properties,
+ * required, additionalProperties, items, anyOf/oneOf and local $ref. Unlike a
+ * fail-fast check it collects every failing field. A pattern may carry an
+ * "x-pattern-message" to report instead of the raw expression.
+ */
+
+/**
+ * Describe a value's JSON type
+ * @param {*} value - Value to describe
+ * @returns {string} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against one JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Type name
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Join a property name or array index onto a field path
+ * @param {string} path - Parent path, empty at the root
+ * @param {string|number} key - Property name or array index
+ * @returns {string} Field path such as "queries[2].topK"
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Follow a "#/components/schemas/<name>" reference
+ * @param {object} schema - Schema that may be a $ref
+ * @param {object} components - Component schemas by name
+ * @returns {object} Referenced schema, or the schema itself
+ * @throws {Error} If the reference is unknown
+ */
+function resolveRef(schema, components) {
+  if (!schema.$ref) return schema;
+
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  if (!components[name]) {
+    throw new Error(`Unknown schema reference ${schema.$ref}`);
+  }
+  return resolveRef(components[name], components);
+}
+
+/**
+ * Check whether a value looks meant for a schema: it has the schema's type
+ * and every required field, even if those fields are invalid
+ * @param {object} schema - Resolved schema
+ * @param {*} value - Value being validated
+ * @returns {boolean} True if the value has the schema's type and required fields
+ */
+function isIntended(schema, value) {
+  const types = schema.type ? [schema.type].flat() : null;
+  if (types && !types.some(type => hasType(value, type))) return false;
+  return (schema.required || []).every(name => value?.[name] !== undefined);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {object} options - Validation options
+ * @param {string} options.path - Field path of the value (default: the root)
+ * @param {object} options.components - Schemas that "#/components/schemas/<name>" refs resolve to
+ * @returns {Array<{field: string, message: string}>} Every failure found; empty if valid
+ */
+export function validateSchema(schema, value, { path = '', components = {} } = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field: field || '(root)', message });
+
+  if (schema.$ref) {
+    return validateSchema(resolveRef(schema, components), value, { path, components });
+  }
+
+  // Alternatives: report the failures of the alternative the value was most
+  // likely meant as, i.e. one whose type and required fields it has
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (alternatives) {
+    const results = alternatives.map(alternative => ({
+      errors: validateSchema(alternative, value, { path, components }),
+      intended: isIntended(resolveRef(alternative, components), value)
+    }));
+    const passing = results.filter(result => result.errors.length === 0).length;
+    if (schema.oneOf ? passing !== 1 : passing === 0) {
+      if (passing > 1) {
+        fail(path, 'must match exactly one of the allowed forms');
+      } else {
+        const candidates = results.some(result => result.intended) ? results.filter(result => result.intended) : results;
+        errors.push(...candidates.reduce((closest, result) => result.errors.length < closest.errors.length ? result : closest).errors);
+      }
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      fail(path, `must be ${types.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(path, `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(path, `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(path, `must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(path, `must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(path, schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(path, `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(path, schema['x-pattern-message'] || `must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(path, schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(path, `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, { path: joinPath(path, index), components }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) fail(joinPath(path, name), 'is required');
+    }
+
+    const properties = schema.properties || {};
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[name]) {
+        errors.push(...validateSchema(properties[name], propertyValue, { path: joinPath(path, name), components }));
+      } else if (schema.additionalProperties === false) {
+        fail(joinPath(path, name), 'is not an allowed field');
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, { path: joinPath(path, name), components }));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert query string values to the types their schema declares
+ * Query parameters always arrive as strings, so "5" must become 5 before an
+ * integer schema can accept it. Values that do not convert are left as is
+ * for validation to reject.
+ * @param {object} schema - Object schema of the query parameters
+ * @param {object} query - Parsed query string
+ * @returns {object} Query with converted values
+ */
+export function coerceQuery(schema, query = {}) {
+  const coerced = { ...query };
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = coerced[name];
+    if (typeof value !== 'string') continue;
+
+    if ((property.type === 'integer' || property.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      coerced[name] = Number(value);
+    } else if (property.type === 'boolean' && (value === 'true' || value === 'false')) {
+      coerced[name] = value === 'true';
+    }
+  }
+  return coerced;
+}
@@ -0,0 +1,103 @@
+/**
+ * Vector math helpers shared by the in-process vector store and re-ranking
+ */
+
+export const DISTANCE_SPACES = ['l2', 'cosine', 'ip'];
+
+// Largest distance between unit-length vectors in each space
+const MAX_UNIT_DISTANCE = { l2: 4, cosine: 2, ip: 2 };
+
+/**
+ * Dot product of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Dot product
+ */
+export function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Euclidean length of a vector
+ * @param {Array<number>} vector - Vector
+ * @returns {number} L2 norm
+ */
+export function norm(vector) {
+  return Math.sqrt(dot(vector, vector));
+}
+
+/**
+ * Distance between two vectors, using the same definitions as ChromaDB's HNSW spaces
+ *   l2     - Squared Euclidean distance
+ *   cosine - 1 - cosine similarity
+ *   ip     - 1 - inner product
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @param {string} space - 'l2', 'cosine' or 'ip'
+ * @returns {number} Distance (lower is closer)
+ */
+export function distance(a, b, space = 'l2') {
+  if (a.length !== b.length) {
+    throw new Error(`Embedding dimension ${b.length} does not match query dimension ${a.length}`);
+  }
+
+  switch (space) {
+    case 'cosine': {
+      const denominator = norm(a) * norm(b);
+      return denominator === 0 ? 1 : 1 - dot(a, b) / denominator;
+    }
+    case 'ip':
+      return 1 - dot(a, b);
+    default: {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) {
+        const difference = a[i] - b[i];
+        sum += difference * difference;
+      }
+      return sum;
+    }
+  }
+}
+
+/**
+ * Element-wise mean of equally sized vectors
+ * @param {Array<Array<number>>} vectors - Vectors to average
+ * @returns {Array<number>} Centroid
+ */
+export function centroid(vectors) {
+  const result = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] += vector[i] / vectors.length;
+    }
+  }
+  return result;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity between -1 and 1 (0 if either vector is zero)
+ */
+export function cosineSimilarity(a, b) {
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot(a, b) / denominator;
+}
+
+/**
+ * Map a distance to a similarity between 0 and 1
+ * Exact for unit-length embeddings (1 = identical, 0 = opposite); other
+ * vectors are clamped to the same range.
+ * @param {number} value - Distance in the given space
+ * @param {string} space - 'l2', 'cosine' or 'ip'
+ * @returns {number} Similarity rounded to 4 decimals
+ */
+export function similarity(value, space = 'l2') {
+  const normalized = 1 - value / (MAX_UNIT_DISTANCE[space] ?? MAX_UNIT_DISTANCE.l2);
+  return parseFloat(Math.min(1, Math.max(0, normalized)).toFixed(4));
+}